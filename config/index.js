@@ -19,6 +19,15 @@ export default defineConfig(async (merge, { command, mode }) => {
     outputRoot: 'dist',
     plugins: [],
     defineConstants: {
+      // 接口地址与请求适配器（mock 为本地模拟数据，http 为真实后端）
+      API_BASE_URL: JSON.stringify(process.env.TARO_APP_API_BASE_URL || 'https://api.jobrecruit.com/v1'),
+      API_ADAPTER: JSON.stringify(process.env.TARO_APP_API_ADAPTER || 'mock'),
+      // 图片上传适配器，未配置时与 API_ADAPTER 相同
+      UPLOAD_ADAPTER: JSON.stringify(process.env.TARO_APP_UPLOAD_ADAPTER || ''),
+      // 支付适配器（wechat 为微信支付，fake 为模拟支付），未配置时模拟接口用 fake、真实后端用 wechat
+      PAYMENT_PROVIDER: JSON.stringify(process.env.TARO_APP_PAYMENT_PROVIDER || ''),
+      // 新职位提醒的订阅消息模板 ID，未配置时只做站内计数
+      SUBSCRIBE_TEMPLATE_ID: JSON.stringify(process.env.TARO_APP_SUBSCRIBE_TEMPLATE_ID || '')
     },
     copy: {
       patterns: [
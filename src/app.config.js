@@ -3,7 +3,11 @@ export default defineAppConfig({
     'pages/home/index',
     'pages/publish/index', 
     'pages/user/index',
-    'pages/detail/index'
+    'pages/detail/index',
+    'pages/subscriptions/index',
+    'pages/favorites/index',
+    'pages/my-jobs/index',
+    'pages/points/index'
   ],
   window: {
     backgroundTextStyle: 'light',
@@ -11,6 +15,12 @@ export default defineAppConfig({
     navigationBarTitleText: '工程招聘',
     navigationBarTextStyle: 'white'
   },
+  permission: {
+    'scope.userLocation': {
+      desc: '用于按距离排序附近的职位'
+    }
+  },
+  requiredPrivateInfos: ['getLocation', 'chooseLocation'],
   tabBar: {
     color: '#666',
     selectedColor: '#6697f5',
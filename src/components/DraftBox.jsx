@@ -0,0 +1,56 @@
+import React from 'react'
+import { View, Text, ScrollView } from '@tarojs/components'
+import { getDraftName } from '../utils/formDrafts'
+import './DraftBox.less'
+
+// 草稿保存时间：今天只显示时间，其他日期显示月日
+const formatDraftTime = (timestamp) => {
+  const date = new Date(timestamp)
+  const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+  if (date.toDateString() === new Date().toDateString()) {
+    return `今天 ${time}`
+  }
+  return `${date.getMonth() + 1}月${date.getDate()}日 ${time}`
+}
+
+// 发布表单的本地草稿列表，从底部弹出，当前正在编辑的草稿高亮显示
+const DraftBox = ({ visible, drafts, currentId, onOpen, onRename, onRemove, onClose }) => {
+  if (!visible) return null
+
+  return (
+    <View className="draft-box">
+      <View className="draft-box__mask" onClick={onClose} />
+      <View className="draft-box__content">
+        <View className="draft-box__header">
+          <Text className="draft-box__title">本地草稿</Text>
+          <Text className="draft-box__close" onClick={onClose}>关闭</Text>
+        </View>
+
+        {drafts.length === 0 ? (
+          <Text className="draft-box__empty">暂无本地草稿，填写表单时会自动保存</Text>
+        ) : (
+          <ScrollView scrollY className="draft-box__list">
+            {drafts.map(draft => (
+              <View
+                key={draft.id}
+                className={`draft-box__item ${draft.id === currentId ? 'draft-box__item--active' : ''}`}
+              >
+                <View className="draft-box__info" onClick={() => onOpen(draft)}>
+                  <Text className="draft-box__name">{getDraftName(draft)}</Text>
+                  <Text className="draft-box__meta">
+                    {draft.jobId ? '编辑职位' : '新职位'} · {formatDraftTime(draft.updatedAt)}
+                    {draft.id === currentId && ' · 编辑中'}
+                  </Text>
+                </View>
+                <Text className="draft-box__action" onClick={() => onRename(draft)}>重命名</Text>
+                <Text className="draft-box__action draft-box__action--danger" onClick={() => onRemove(draft)}>删除</Text>
+              </View>
+            ))}
+          </ScrollView>
+        )}
+      </View>
+    </View>
+  )
+}
+
+export default DraftBox
@@ -1,12 +1,45 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import { View, Text, Input } from '@tarojs/components'
 import Taro from '@tarojs/taro'
 import useJobStore from '../stores/jobStore'
+import RegionPicker from './RegionPicker'
+import FilterPanel from './FilterPanel'
+import SearchDropdown from './SearchDropdown'
+import { formatRegion } from '../utils/regions'
+import { SALARY_RANGES } from '../utils/salary'
+import { MULTI_FILTER_GROUPS, SORT_OPTIONS } from '../utils/jobOptions'
+import { getHotKeywords, getSuggestions } from '../utils/searchSuggest'
+import { describeFilters, findSubscription } from '../utils/subscriptions'
 import './FilterBar.less'
 
 const FilterBar = () => {
-  const { filters, locations, setFilters, resetFilters } = useJobStore()
+  const {
+    jobs,
+    filters,
+    searchHistory,
+    subscriptions,
+    setFilters,
+    resetFilters,
+    addSearchHistory,
+    clearSearchHistory,
+    saveSubscription
+  } = useJobStore()
   const [searchValue, setSearchValue] = useState(filters.keyword)
+  const [panelVisible, setPanelVisible] = useState(false)
+  const [dropdownVisible, setDropdownVisible] = useState(false)
+  const blurTimerRef = useRef(null)
+
+  const hotKeywords = useMemo(() => getHotKeywords(jobs), [jobs])
+  const suggestions = useMemo(() => getSuggestions(jobs, searchValue), [jobs, searchValue])
+
+  useEffect(() => {
+    return () => clearTimeout(blurTimerRef.current)
+  }, [])
+
+  // 筛选条件从本地存储恢复或被外部清空时同步搜索框
+  useEffect(() => {
+    setSearchValue(filters.keyword)
+  }, [filters.keyword])
 
   // 处理搜索输入
   const handleSearchInput = (e) => {
@@ -14,9 +47,30 @@ const FilterBar = () => {
     setSearchValue(value)
   }
 
+  // 按关键词搜索并记入搜索历史
+  const search = (keyword) => {
+    const value = keyword.trim()
+    setSearchValue(value)
+    setDropdownVisible(false)
+    setFilters({ keyword: value })
+    addSearchHistory(value)
+  }
+
   // 处理搜索确认
   const handleSearchConfirm = () => {
-    setFilters({ keyword: searchValue })
+    search(searchValue)
+  }
+
+  const handleSearchFocus = () => {
+    clearTimeout(blurTimerRef.current)
+    setDropdownVisible(true)
+  }
+
+  // 失焦后延迟收起下拉，保证下拉项的点击能先触发
+  const handleSearchBlur = () => {
+    blurTimerRef.current = setTimeout(() => {
+      setDropdownVisible(false)
+    }, 200)
   }
 
   // 处理搜索清空
@@ -25,48 +79,120 @@ const FilterBar = () => {
     setFilters({ keyword: '' })
   }
 
-  // 显示地区选择器
-  const handleLocationSelect = () => {
-    const cityList = Object.keys(locations)
-    
+  // 处理地区选择
+  const handleRegionChange = (regionCode) => {
+    setFilters({ regionCode })
+  }
+
+  // 获取当前位置显示文本
+  const getLocationText = () => {
+    if (!filters.regionCode) return '选择地区'
+    return formatRegion(filters.regionCode)
+  }
+
+  // 显示薪资区间选择
+  const handleSalarySelect = () => {
     Taro.showActionSheet({
-      itemList: ['不限', ...cityList],
+      itemList: ['不限', ...SALARY_RANGES.map(range => range.label)],
       success: (res) => {
         if (res.tapIndex === 0) {
-          // 选择不限
-          setFilters({ location: '', district: '' })
+          setFilters({ salaryMin: 0, salaryMax: null })
         } else {
-          const selectedCity = cityList[res.tapIndex - 1]
-          const districts = locations[selectedCity]
-          
-          // 如果有区县，显示区县选择
-          if (districts && districts.length > 0) {
-            Taro.showActionSheet({
-              itemList: ['不限区县', ...districts],
-              success: (districtRes) => {
-                if (districtRes.tapIndex === 0) {
-                  setFilters({ location: selectedCity, district: '' })
-                } else {
-                  const selectedDistrict = districts[districtRes.tapIndex - 1]
-                  setFilters({ location: selectedCity, district: selectedDistrict })
-                }
-              }
+          const { min, max } = SALARY_RANGES[res.tapIndex - 1]
+          setFilters({ salaryMin: min, salaryMax: max })
+        }
+      }
+    })
+  }
+
+  // 获取当前薪资显示文本
+  const getSalaryText = () => {
+    if (!filters.salaryMin && !filters.salaryMax) return '薪资'
+    const range = SALARY_RANGES.find(item =>
+      item.min === filters.salaryMin && item.max === filters.salaryMax
+    )
+    return range ? range.label : '自定义薪资'
+  }
+
+  // 显示排序方式选择
+  const handleSortSelect = () => {
+    Taro.showActionSheet({
+      itemList: SORT_OPTIONS.map(option => option.label),
+      success: (res) => {
+        const { sortBy, order } = SORT_OPTIONS[res.tapIndex]
+        if (sortBy !== 'distance') {
+          setFilters({ sortBy, order })
+          return
+        }
+
+        // 距离排序需要用户当前位置
+        Taro.getLocation({
+          type: 'gcj02',
+          success: ({ latitude, longitude }) => {
+            setFilters({ sortBy, order, latitude, longitude })
+          },
+          fail: () => {
+            Taro.showToast({
+              title: '无法获取位置，请检查定位权限',
+              icon: 'none'
             })
-          } else {
-            setFilters({ location: selectedCity, district: '' })
           }
-        }
+        })
       }
     })
   }
 
-  // 获取当前位置显示文本
-  const getLocationText = () => {
-    if (!filters.location) return '选择地区'
-    if (filters.district) {
-      return `${filters.location} ${filters.district}`
+  // 获取当前排序显示文本
+  const getSortText = () => {
+    const option = SORT_OPTIONS.find(item =>
+      item.sortBy === filters.sortBy && item.order === filters.order
+    )
+    return option ? option.label : SORT_OPTIONS[0].label
+  }
+
+  // 多选筛选面板确认
+  const handlePanelConfirm = (selection) => {
+    setPanelVisible(false)
+    setFilters(selection)
+  }
+
+  // 移除单个多选条件
+  const handleRemoveOption = (key, option) => {
+    setFilters({ [key]: filters[key].filter(item => item !== option) })
+  }
+
+  // 把当前筛选条件保存为订阅
+  const handleSaveSearch = () => {
+    if (findSubscription(subscriptions, filters)) {
+      Taro.showToast({
+        title: '已保存过该搜索',
+        icon: 'none'
+      })
+      return
     }
-    return filters.location
+
+    const defaultName = describeFilters(filters)
+    Taro.showModal({
+      title: '保存搜索',
+      editable: true,
+      placeholderText: '订阅名称',
+      content: defaultName,
+      success: async (res) => {
+        if (!res.confirm) return
+        try {
+          const subscription = await saveSubscription((res.content || '').trim() || defaultName)
+          Taro.showToast({
+            title: subscription.notify ? '已订阅，有新职位将通知你' : '已保存搜索',
+            icon: 'none'
+          })
+        } catch (error) {
+          Taro.showToast({
+            title: error.message || '保存失败',
+            icon: 'none'
+          })
+        }
+      }
+    })
   }
 
   // 重置所有筛选
@@ -76,7 +202,12 @@ const FilterBar = () => {
   }
 
   // 检查是否有活跃的筛选条件
-  const hasActiveFilters = filters.location || filters.keyword
+  const hasSalaryFilter = filters.salaryMin || filters.salaryMax
+  const multiFilterCount = MULTI_FILTER_GROUPS.reduce(
+    (count, { key }) => count + (filters[key] ? filters[key].length : 0),
+    0
+  )
+  const hasActiveFilters = filters.regionCode || hasSalaryFilter || multiFilterCount > 0 || filters.keyword
 
   return (
     <View className="filter-bar">
@@ -85,10 +216,12 @@ const FilterBar = () => {
         <View className="filter-bar__search-input">
           <Input
             className="filter-bar__input"
-            placeholder="搜索职位、公司、技能"
+            placeholder="搜索职位、公司、技能，支持拼音"
             value={searchValue}
             onInput={handleSearchInput}
             onConfirm={handleSearchConfirm}
+            onFocus={handleSearchFocus}
+            onBlur={handleSearchBlur}
             confirmType="search"
           />
           {searchValue && (
@@ -100,21 +233,76 @@ const FilterBar = () => {
         <View className="filter-bar__search-btn" onClick={handleSearchConfirm}>
           <Text className="filter-bar__search-icon">🔍</Text>
         </View>
+
+        <SearchDropdown
+          visible={dropdownVisible}
+          keyword={searchValue}
+          history={searchHistory}
+          hotKeywords={hotKeywords}
+          suggestions={suggestions}
+          onSelect={search}
+          onClearHistory={clearSearchHistory}
+        />
       </View>
 
       {/* 筛选按钮组 */}
       <View className="filter-bar__filters">
         {/* 地区筛选 */}
+        <RegionPicker
+          value={filters.regionCode}
+          allowAny
+          onChange={handleRegionChange}
+        >
+          <View 
+            className={`filter-bar__filter-btn ${filters.regionCode ? 'filter-bar__filter-btn--active' : ''}`}
+          >
+            <Text className="filter-bar__filter-text">
+              {getLocationText()}
+            </Text>
+            <Text className="filter-bar__filter-arrow">▼</Text>
+          </View>
+        </RegionPicker>
+
+        {/* 排序方式 */}
+        <View 
+          className={`filter-bar__filter-btn ${filters.sortBy !== 'time' ? 'filter-bar__filter-btn--active' : ''}`}
+          onClick={handleSortSelect}
+        >
+          <Text className="filter-bar__filter-text">
+            {getSortText()}
+          </Text>
+          <Text className="filter-bar__filter-arrow">▼</Text>
+        </View>
+
+        {/* 薪资筛选 */}
         <View 
-          className={`filter-bar__filter-btn ${filters.location ? 'filter-bar__filter-btn--active' : ''}`}
-          onClick={handleLocationSelect}
+          className={`filter-bar__filter-btn ${hasSalaryFilter ? 'filter-bar__filter-btn--active' : ''}`}
+          onClick={handleSalarySelect}
         >
           <Text className="filter-bar__filter-text">
-            {getLocationText()}
+            {getSalaryText()}
           </Text>
           <Text className="filter-bar__filter-arrow">▼</Text>
         </View>
 
+        {/* 经验/学历/用工类型 */}
+        <View 
+          className={`filter-bar__filter-btn ${multiFilterCount > 0 ? 'filter-bar__filter-btn--active' : ''}`}
+          onClick={() => setPanelVisible(true)}
+        >
+          <Text className="filter-bar__filter-text">
+            {multiFilterCount > 0 ? `筛选(${multiFilterCount})` : '筛选'}
+          </Text>
+          <Text className="filter-bar__filter-arrow">▼</Text>
+        </View>
+
+        {/* 保存搜索 */}
+        {hasActiveFilters && (
+          <View className="filter-bar__save" onClick={handleSaveSearch}>
+            <Text className="filter-bar__save-text">☆ 订阅</Text>
+          </View>
+        )}
+
         {/* 重置按钮 */}
         {hasActiveFilters && (
           <View className="filter-bar__reset" onClick={handleReset}>
@@ -126,19 +314,45 @@ const FilterBar = () => {
       {/* 活跃筛选条件展示 */}
       {hasActiveFilters && (
         <View className="filter-bar__active-filters">
-          {filters.location && (
+          {filters.regionCode && (
             <View className="filter-bar__active-tag">
               <Text className="filter-bar__active-tag-text">
                 {getLocationText()}
               </Text>
               <Text 
                 className="filter-bar__active-tag-close"
-                onClick={() => setFilters({ location: '', district: '' })}
+                onClick={() => setFilters({ regionCode: '' })}
+              >
+                ×
+              </Text>
+            </View>
+          )}
+          {hasSalaryFilter && (
+            <View className="filter-bar__active-tag">
+              <Text className="filter-bar__active-tag-text">
+                {getSalaryText()}
+              </Text>
+              <Text 
+                className="filter-bar__active-tag-close"
+                onClick={() => setFilters({ salaryMin: 0, salaryMax: null })}
               >
                 ×
               </Text>
             </View>
           )}
+          {MULTI_FILTER_GROUPS.map(({ key }) => (filters[key] || []).map(option => (
+            <View key={`${key}-${option}`} className="filter-bar__active-tag">
+              <Text className="filter-bar__active-tag-text">
+                {option}
+              </Text>
+              <Text 
+                className="filter-bar__active-tag-close"
+                onClick={() => handleRemoveOption(key, option)}
+              >
+                ×
+              </Text>
+            </View>
+          )))}
           {filters.keyword && (
             <View className="filter-bar__active-tag">
               <Text className="filter-bar__active-tag-text">
@@ -154,6 +368,17 @@ const FilterBar = () => {
           )}
         </View>
       )}
+
+      <FilterPanel
+        visible={panelVisible}
+        value={{
+          experience: filters.experience,
+          education: filters.education,
+          employmentType: filters.employmentType
+        }}
+        onConfirm={handlePanelConfirm}
+        onClose={() => setPanelVisible(false)}
+      />
     </View>
   )
 }
@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react'
+import { View, Text } from '@tarojs/components'
+import { MULTI_FILTER_GROUPS } from '../utils/jobOptions'
+import './FilterPanel.less'
+
+const emptySelection = () => MULTI_FILTER_GROUPS.reduce((result, { key }) => {
+  result[key] = []
+  return result
+}, {})
+
+// 经验、学历、用工类型多选面板，确定后才提交筛选
+const FilterPanel = ({ visible, value, onConfirm, onClose }) => {
+  const [selection, setSelection] = useState(emptySelection)
+
+  // 每次打开时以当前筛选条件为初始值
+  useEffect(() => {
+    if (visible) {
+      setSelection({ ...emptySelection(), ...value })
+    }
+  }, [visible])
+
+  if (!visible) return null
+
+  const toggleOption = (key, option) => {
+    setSelection(prev => {
+      const selected = prev[key] || []
+      return {
+        ...prev,
+        [key]: selected.includes(option)
+          ? selected.filter(item => item !== option)
+          : [...selected, option]
+      }
+    })
+  }
+
+  const handleClear = () => {
+    setSelection(emptySelection())
+  }
+
+  const handleConfirm = () => {
+    onConfirm(selection)
+  }
+
+  return (
+    <View className="filter-panel">
+      <View className="filter-panel__mask" onClick={onClose} />
+      <View className="filter-panel__content">
+        {MULTI_FILTER_GROUPS.map(group => (
+          <View key={group.key} className="filter-panel__group">
+            <Text className="filter-panel__group-title">{group.label}</Text>
+            <View className="filter-panel__options">
+              {group.options.map(option => {
+                const active = (selection[group.key] || []).includes(option)
+                return (
+                  <View
+                    key={option}
+                    className={`filter-panel__option ${active ? 'filter-panel__option--active' : ''}`}
+                    onClick={() => toggleOption(group.key, option)}
+                  >
+                    <Text className="filter-panel__option-text">{option}</Text>
+                  </View>
+                )
+              })}
+            </View>
+          </View>
+        ))}
+
+        <View className="filter-panel__actions">
+          <View className="filter-panel__btn filter-panel__btn--secondary" onClick={handleClear}>
+            <Text className="filter-panel__btn-text">清空</Text>
+          </View>
+          <View className="filter-panel__btn filter-panel__btn--primary" onClick={handleConfirm}>
+            <Text className="filter-panel__btn-text">确定</Text>
+          </View>
+        </View>
+      </View>
+    </View>
+  )
+}
+
+export default FilterPanel
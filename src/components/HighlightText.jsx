@@ -0,0 +1,23 @@
+import React from 'react'
+import { Text } from '@tarojs/components'
+import { splitHighlight } from '../utils/search'
+import './HighlightText.less'
+
+// 按搜索关键词高亮文本中的命中部分（含拼音命中）
+const HighlightText = ({ className = '', text, keyword }) => {
+  if (!keyword) {
+    return <Text className={className}>{text}</Text>
+  }
+
+  return (
+    <Text className={className}>
+      {splitHighlight(text, keyword).map((segment, index) => (
+        segment.highlight
+          ? <Text key={index} className="highlight-text">{segment.text}</Text>
+          : segment.text
+      ))}
+    </Text>
+  )
+}
+
+export default HighlightText
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { View, Text, Image } from '@tarojs/components'
+import Taro from '@tarojs/taro'
+import useJobStore from '../stores/jobStore'
+import { MAX_JOB_IMAGES, chooseImages, compressImage, isChooseCancel } from '../utils/image'
+import './ImageUploader.less'
+
+// 图片上传九宫格：value 为已上传的图片地址，上传中和失败的图片排在后面，失败的点击重试
+const ImageUploader = ({ value = [], max = MAX_JOB_IMAGES, onChange, onPendingChange }) => {
+  const { uploadJobImage } = useJobStore()
+  // 未完成的上传：{ id, path, progress, failed }
+  const [tasks, setTasks] = useState([])
+  // 上传完成时追加到最新的图片列表
+  const valueRef = useRef(value)
+  valueRef.current = value
+
+  useEffect(() => {
+    if (!onPendingChange) return
+    const failed = tasks.filter(task => task.failed).length
+    onPendingChange({ uploading: tasks.length - failed, failed })
+  }, [tasks])
+
+  const updateTask = (id, changes) => {
+    setTasks(prev => prev.map(task => task.id === id ? { ...task, ...changes } : task))
+  }
+
+  const upload = async (task) => {
+    updateTask(task.id, { progress: 0, failed: false })
+    try {
+      const url = await uploadJobImage(task.path, progress => updateTask(task.id, { progress }))
+      const next = [...valueRef.current, url]
+      valueRef.current = next
+      onChange(next)
+      setTasks(prev => prev.filter(item => item.id !== task.id))
+    } catch (error) {
+      console.error('图片上传失败:', error)
+      updateTask(task.id, { failed: true })
+    }
+  }
+
+  const handleChoose = async () => {
+    const remaining = max - value.length - tasks.length
+    if (remaining <= 0) return
+
+    try {
+      const files = await chooseImages(remaining)
+      const paths = await Promise.all(files.map(compressImage))
+      const newTasks = paths.map((path, index) => ({
+        id: `${Date.now()}_${index}`,
+        path,
+        progress: 0,
+        failed: false
+      }))
+      setTasks(prev => [...prev, ...newTasks])
+      // 逐张上传，避免同时占满网络
+      for (const task of newTasks) {
+        await upload(task)
+      }
+    } catch (error) {
+      if (!isChooseCancel(error)) {
+        Taro.showToast({
+          title: '选择图片失败',
+          icon: 'none'
+        })
+      }
+    }
+  }
+
+  const handlePreview = (url) => {
+    Taro.previewImage({
+      current: url,
+      urls: value
+    })
+  }
+
+  const handleRemove = (index) => {
+    onChange(value.filter((_, i) => i !== index))
+  }
+
+  const handleRemoveTask = (id) => {
+    setTasks(prev => prev.filter(task => task.id !== id))
+  }
+
+  return (
+    <View className="image-uploader">
+      {value.map((url, index) => (
+        <View key={url} className="image-uploader__item">
+          <Image className="image-uploader__image" src={url} mode="aspectFill" onClick={() => handlePreview(url)} />
+          <Text className="image-uploader__remove" onClick={() => handleRemove(index)}>×</Text>
+        </View>
+      ))}
+
+      {tasks.map(task => (
+        <View key={task.id} className="image-uploader__item">
+          <Image className="image-uploader__image" src={task.path} mode="aspectFill" />
+          <View
+            className={`image-uploader__status ${task.failed ? 'image-uploader__status--failed' : ''}`}
+            onClick={task.failed ? () => upload(task) : undefined}
+          >
+            <Text className="image-uploader__status-text">
+              {task.failed ? '上传失败\n点击重试' : `${task.progress}%`}
+            </Text>
+          </View>
+          {task.failed && (
+            <Text className="image-uploader__remove" onClick={() => handleRemoveTask(task.id)}>×</Text>
+          )}
+        </View>
+      ))}
+
+      {value.length + tasks.length < max && (
+        <View className="image-uploader__add" onClick={handleChoose}>
+          <Text className="image-uploader__add-icon">+</Text>
+          <Text className="image-uploader__add-text">{value.length + tasks.length}/{max}</Text>
+        </View>
+      )}
+    </View>
+  )
+}
+
+export default ImageUploader
@@ -1,13 +1,29 @@
 import React from 'react'
-import { View, Text } from '@tarojs/components'
+import { View, Text, Image } from '@tarojs/components'
 import Taro from '@tarojs/taro'
 import useJobStore from '../stores/jobStore'
+import { formatJobLocation } from '../utils/regions'
+import { formatJobSalary } from '../utils/salary'
+import { getDistance, formatDistance, hasCoordinates } from '../utils/geo'
+import { formatContact, isJobFree } from '../utils/unlockPolicy'
+import HighlightText from './HighlightText'
 import './JobCard.less'
 
-const JobCard = ({ job, showLockStatus = true }) => {
-  const { isDateUnlocked } = useJobStore()
-  const isUnlocked = isDateUnlocked(job.publishDate)
-  const isToday = job.publishDate === new Date().toDateString()
+// 卡片上最多显示的缩略图数
+const MAX_THUMBNAILS = 3
+
+// preview 为发布预览：不跳转详情、不显示收藏，也不高亮搜索关键词
+const JobCard = ({ job, showLockStatus = true, preview = false }) => {
+  const { isJobUnlocked, unlockPolicy, filters, isFavorite, toggleFavorite } = useJobStore()
+  const keyword = preview ? '' : filters.keyword
+  // 预览的是自己即将发布的职位，不锁定
+  const isUnlocked = preview || isJobUnlocked(job)
+  const locked = showLockStatus && !isUnlocked
+  const favorited = isFavorite(job.id)
+  // 免费查看期内的职位加标识，只免费当天时显示“今日”
+  const isFree = isJobFree(unlockPolicy, job)
+  // 按距离排序时显示与用户的距离
+  const showDistance = filters.sortBy === 'distance' && hasCoordinates(filters) && hasCoordinates(job)
 
   // 格式化时间显示
   const formatTime = (dateString) => {
@@ -22,22 +38,14 @@ const JobCard = ({ job, showLockStatus = true }) => {
     return `${days}天前`
   }
 
-  // 脱敏处理联系方式
-  const maskContact = (contact) => {
-    if (!contact) return ''
-    if (contact.length === 11) {
-      return contact.replace(/(\d{3})\d{4}(\d{4})/, '$1****$2')
-    }
-    return contact
-  }
-
   // 点击卡片跳转详情
   const handleCardClick = () => {
-    if (!isUnlocked && !isToday && showLockStatus) {
+    if (preview) return
+    if (locked) {
       Taro.showModal({
         title: '内容已锁定',
-        content: '历史内容需要分享后解锁查看',
-        confirmText: '去分享',
+        content: '该职位需要用积分解锁或开通会员后查看',
+        confirmText: '去解锁',
         success: (res) => {
           if (res.confirm) {
             Taro.navigateTo({
@@ -53,21 +61,31 @@ const JobCard = ({ job, showLockStatus = true }) => {
     }
   }
 
+  // 收藏/取消收藏，不触发卡片点击
+  const handleFavorite = (e) => {
+    e.stopPropagation()
+    const result = toggleFavorite(job)
+    Taro.showToast({
+      title: result ? '已收藏' : '已取消收藏',
+      icon: 'none'
+    })
+  }
+
   return (
     <View className="job-card" onClick={handleCardClick}>
       {/* 锁定状态遮罩 */}
-      {!isUnlocked && !isToday && showLockStatus && (
+      {locked && (
         <View className="job-card__lock-mask">
           <View className="job-card__lock-icon">🔒</View>
-          <Text className="job-card__lock-text">分享解锁</Text>
+          <Text className="job-card__lock-text">积分或会员解锁</Text>
         </View>
       )}
       
       {/* 卡片头部 */}
       <View className="job-card__header">
         <View className="job-card__title-section">
-          <Text className="job-card__title">{job.title}</Text>
-          <Text className="job-card__salary">{job.salary}</Text>
+          <HighlightText className="job-card__title" text={job.title} keyword={keyword} />
+          <Text className="job-card__salary">{formatJobSalary(job)}</Text>
         </View>
         <View className="job-card__time">
           <Text className="job-card__time-text">{formatTime(job.publishTime)}</Text>
@@ -76,12 +94,18 @@ const JobCard = ({ job, showLockStatus = true }) => {
 
       {/* 公司信息 */}
       <View className="job-card__company">
-        <Text className="job-card__company-name">{job.company}</Text>
-        <Text className="job-card__location">{job.location}</Text>
+        <HighlightText className="job-card__company-name" text={job.company} keyword={keyword} />
+        <Text className="job-card__location">
+          {formatJobLocation(job)}
+          {showDistance && ` · ${formatDistance(getDistance(filters, job))}`}
+        </Text>
       </View>
 
       {/* 职位要求 */}
       <View className="job-card__requirements">
+        {job.employmentType && (
+          <Text className="job-card__employment-type">{job.employmentType}</Text>
+        )}
         <Text className="job-card__experience">{job.experience}</Text>
         <Text className="job-card__education">{job.education}</Text>
       </View>
@@ -90,7 +114,7 @@ const JobCard = ({ job, showLockStatus = true }) => {
       <View className="job-card__tags">
         {job.tags && job.tags.slice(0, 3).map((tag, index) => (
           <View key={index} className="job-card__tag">
-            <Text className="job-card__tag-text">{tag}</Text>
+            <HighlightText className="job-card__tag-text" text={tag} keyword={keyword} />
           </View>
         ))}
         {job.tags && job.tags.length > 3 && (
@@ -101,28 +125,56 @@ const JobCard = ({ job, showLockStatus = true }) => {
       </View>
 
       {/* 联系信息（根据解锁状态显示） */}
-      {(isUnlocked || isToday) && (
+      {isUnlocked && (
         <View className="job-card__contact">
           <Text className="job-card__contact-name">{job.contactName}</Text>
           <Text className="job-card__contact-phone">
-            {showLockStatus ? maskContact(job.contact) : job.contact}
+            {showLockStatus ? formatContact(unlockPolicy, job.contact) : job.contact}
           </Text>
         </View>
       )}
 
+      {/* 图片缩略图，超出部分在最后一张上显示剩余数量 */}
+      {job.images && job.images.length > 0 && (
+        <View className="job-card__images">
+          {job.images.slice(0, MAX_THUMBNAILS).map((url, index) => (
+            <View key={url} className="job-card__thumb">
+              <Image className="job-card__thumb-image" src={url} mode="aspectFill" lazyLoad />
+              {index === MAX_THUMBNAILS - 1 && job.images.length > MAX_THUMBNAILS && (
+                <View className="job-card__thumb-more">
+                  <Text className="job-card__thumb-more-text">+{job.images.length - MAX_THUMBNAILS}</Text>
+                </View>
+              )}
+            </View>
+          ))}
+        </View>
+      )}
+
       {/* 职位描述预览 */}
       <View className="job-card__description">
-        <Text className="job-card__description-text">
-          {job.description && job.description.length > 50 
+        <HighlightText
+          className="job-card__description-text"
+          text={job.description && job.description.length > 50 
             ? `${job.description.substring(0, 50)}...` 
             : job.description}
-        </Text>
+          keyword={keyword}
+        />
       </View>
 
-      {/* 今日标识 */}
-      {isToday && (
+      {/* 收藏按钮（锁定时也可收藏） */}
+      {!preview && (
+        <View
+          className={`job-card__favorite ${favorited ? 'job-card__favorite--active' : ''}`}
+          onClick={handleFavorite}
+        >
+          <Text className="job-card__favorite-icon">{favorited ? '★' : '☆'}</Text>
+        </View>
+      )}
+
+      {/* 免费标识 */}
+      {isFree && (
         <View className="job-card__today-badge">
-          <Text className="job-card__today-text">今日</Text>
+          <Text className="job-card__today-text">{unlockPolicy.freeDays === 1 ? '今日' : '免费'}</Text>
         </View>
       )}
     </View>
@@ -0,0 +1,141 @@
+import React, { useState } from 'react'
+import { View, Text, Swiper, SwiperItem, Image } from '@tarojs/components'
+import Taro from '@tarojs/taro'
+import { formatJobLocation } from '../utils/regions'
+import { formatJobSalary } from '../utils/salary'
+import './JobDetailView.less'
+
+// 格式化时间
+const formatTime = (dateString) => {
+  const date = new Date(dateString)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+}
+
+// 职位详情的主体内容，详情页和发布预览共用
+// extra 显示在头部右上角（如收藏按钮），locked 传入时替换联系信息
+const JobDetailView = ({ job, extra = null, locked = null }) => {
+  // 图集当前显示的图片下标
+  const [imageIndex, setImageIndex] = useState(0)
+
+  return (
+    <View className="job-detail">
+      {/* 图集，点击查看大图 */}
+      {job.images && job.images.length > 0 && (
+        <View className="job-detail__gallery">
+          <Swiper
+            className="job-detail__swiper"
+            current={imageIndex}
+            onChange={(e) => setImageIndex(e.detail.current)}
+          >
+            {job.images.map(url => (
+              <SwiperItem key={url}>
+                <Image
+                  className="job-detail__gallery-image"
+                  src={url}
+                  mode="aspectFill"
+                  onClick={() => Taro.previewImage({ current: url, urls: job.images })}
+                />
+              </SwiperItem>
+            ))}
+          </Swiper>
+          {job.images.length > 1 && (
+            <Text className="job-detail__gallery-indicator">{imageIndex + 1}/{job.images.length}</Text>
+          )}
+        </View>
+      )}
+
+      {/* 职位头部信息 */}
+      <View className="job-detail__header">
+        {extra}
+        <Text className="job-detail__title">{job.title}</Text>
+        <Text className="job-detail__salary">{formatJobSalary(job)}</Text>
+        <View className="job-detail__meta">
+          <Text className="job-detail__company">{job.company}</Text>
+          <Text className="job-detail__location">{formatJobLocation(job)}</Text>
+          <Text className="job-detail__time">{formatTime(job.publishTime || job.createTime)}</Text>
+        </View>
+        {job.address && (
+          <Text className="job-detail__address">📍 {job.address}</Text>
+        )}
+      </View>
+
+      {/* 职位要求 */}
+      <View className="job-detail__section">
+        <Text className="job-detail__section-title">职位要求</Text>
+        <View className="job-detail__requirements">
+          {job.employmentType && (
+            <View className="job-detail__requirement-item">
+              <Text className="job-detail__requirement-label">用工类型：</Text>
+              <Text className="job-detail__requirement-value">{job.employmentType}</Text>
+            </View>
+          )}
+          {job.experience && (
+            <View className="job-detail__requirement-item">
+              <Text className="job-detail__requirement-label">工作经验：</Text>
+              <Text className="job-detail__requirement-value">{job.experience}</Text>
+            </View>
+          )}
+          {job.education && (
+            <View className="job-detail__requirement-item">
+              <Text className="job-detail__requirement-label">学历要求：</Text>
+              <Text className="job-detail__requirement-value">{job.education}</Text>
+            </View>
+          )}
+        </View>
+
+        {/* 技能标签 */}
+        {job.tags && job.tags.length > 0 && (
+          <View className="job-detail__tags">
+            {job.tags.map((tag, index) => (
+              <View key={index} className="job-detail__tag">
+                <Text className="job-detail__tag-text">{tag}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+
+      {/* 职位描述 */}
+      <View className="job-detail__section">
+        <Text className="job-detail__section-title">职位描述</Text>
+        <Text className="job-detail__description">{job.description}</Text>
+      </View>
+
+      {/* 任职要求 */}
+      {job.requirements && (
+        <View className="job-detail__section">
+          <Text className="job-detail__section-title">任职要求</Text>
+          <Text className="job-detail__description">{job.requirements}</Text>
+        </View>
+      )}
+
+      {/* 福利待遇 */}
+      {job.benefits && (
+        <View className="job-detail__section">
+          <Text className="job-detail__section-title">福利待遇</Text>
+          <Text className="job-detail__description">{job.benefits}</Text>
+        </View>
+      )}
+
+      {/* 联系信息 */}
+      <View className="job-detail__section">
+        <Text className="job-detail__section-title">联系信息</Text>
+
+        {locked || (
+          <View className="job-detail__contact">
+            <View className="job-detail__contact-item">
+              <Text className="job-detail__contact-label">联系人：</Text>
+              <Text className="job-detail__contact-value">{job.contactName}</Text>
+            </View>
+            <View className="job-detail__contact-item">
+              <Text className="job-detail__contact-label">联系电话：</Text>
+              <Text className="job-detail__contact-value">{job.contact}</Text>
+            </View>
+          </View>
+        )}
+      </View>
+    </View>
+  )
+}
+
+export default JobDetailView
@@ -0,0 +1,52 @@
+import React from 'react'
+import { View, Text, ScrollView } from '@tarojs/components'
+import useJobStore from '../stores/jobStore'
+import { getLockRuleText } from '../utils/unlockPolicy'
+import JobCard from './JobCard'
+import JobDetailView from './JobDetailView'
+import './JobPreview.less'
+
+// 发布前预览：用列表卡片和详情页的真实布局展示即将提交的职位
+const JobPreview = ({ visible, job, confirmText, submitting, onBack, onConfirm }) => {
+  const { unlockPolicy } = useJobStore()
+  if (!visible || !job) return null
+
+  return (
+    <View className="job-preview">
+      <View className="job-preview__header">
+        <Text className="job-preview__title">发布预览</Text>
+        <Text className="job-preview__back" onClick={onBack}>返回修改</Text>
+      </View>
+
+      <ScrollView scrollY className="job-preview__body">
+        <View className="job-preview__block">
+          <Text className="job-preview__label">列表中的样子</Text>
+          <Text className="job-preview__tip">
+            最多显示 3 个标签，描述超过 50 字截断{unlockPolicy.maskContact && '，联系电话中间 4 位隐藏'}
+          </Text>
+          <JobCard job={job} preview />
+        </View>
+
+        <View className="job-preview__block">
+          <Text className="job-preview__label">详情页的样子</Text>
+          <Text className="job-preview__tip">{getLockRuleText(unlockPolicy)}</Text>
+        </View>
+        <JobDetailView job={job} />
+      </ScrollView>
+
+      <View className="job-preview__actions">
+        <View className="job-preview__btn job-preview__btn--secondary" onClick={onBack}>
+          <Text className="job-preview__btn-text">返回修改</Text>
+        </View>
+        <View
+          className={`job-preview__btn job-preview__btn--primary ${submitting ? 'job-preview__btn--disabled' : ''}`}
+          onClick={submitting ? undefined : onConfirm}
+        >
+          <Text className="job-preview__btn-text">{submitting ? '提交中...' : confirmText}</Text>
+        </View>
+      </View>
+    </View>
+  )
+}
+
+export default JobPreview
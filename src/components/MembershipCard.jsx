@@ -0,0 +1,74 @@
+import React, { useState } from 'react'
+import { View, Text } from '@tarojs/components'
+import Taro from '@tarojs/taro'
+import useJobStore from '../stores/jobStore'
+import { ERROR_CODES } from '../utils/request'
+import { formatExpireTime, formatPrice, isMembershipActive } from '../utils/membership'
+import './MembershipCard.less'
+
+// 会员状态卡片：显示有效期，未开通或已过期时可选择套餐购买，有效期内购买为续费
+const MembershipCard = () => {
+  const { membership, membershipPlans, purchaseMembership } = useJobStore()
+  // 正在购买的套餐
+  const [payingPlan, setPayingPlan] = useState('')
+  const active = isMembershipActive(membership)
+
+  const handlePurchase = async (plan) => {
+    if (payingPlan) return
+    setPayingPlan(plan.key)
+    try {
+      const result = await purchaseMembership(plan.key)
+      Taro.showToast({
+        title: result ? (active ? '续费成功' : '开通成功') : '支付结果确认中，请稍后查看',
+        icon: result ? 'success' : 'none'
+      })
+    } catch (error) {
+      if (error.code !== ERROR_CODES.PAYMENT_CANCELLED) {
+        console.error('购买会员失败:', error)
+      }
+      Taro.showToast({
+        title: error.message || '购买失败，请重试',
+        icon: 'none'
+      })
+    } finally {
+      setPayingPlan('')
+    }
+  }
+
+  return (
+    <View className={`membership-card ${active ? 'membership-card--active' : ''}`}>
+      <View className="membership-card__header">
+        <Text className="membership-card__badge">VIP</Text>
+        <View className="membership-card__status">
+          <Text className="membership-card__title">
+            {active ? `会员 · ${membership.planName}` : '开通会员'}
+          </Text>
+          <Text className="membership-card__desc">
+            {active && `有效期至 ${formatExpireTime(membership.expireTime)}`}
+            {!active && membership && `会员已于 ${formatExpireTime(membership.expireTime)} 到期`}
+            {!active && !membership && '无需分享和积分，查看全部历史职位'}
+          </Text>
+        </View>
+      </View>
+
+      <View className="membership-card__plans">
+        {membershipPlans.map(plan => (
+          <View
+            key={plan.key}
+            className={`membership-card__plan ${payingPlan === plan.key ? 'membership-card__plan--paying' : ''}`}
+            onClick={() => handlePurchase(plan)}
+          >
+            <Text className="membership-card__plan-name">{plan.name}</Text>
+            <Text className="membership-card__plan-price">¥{formatPrice(plan.price)}</Text>
+            <Text className="membership-card__plan-desc">{plan.desc}</Text>
+            <Text className="membership-card__plan-action">
+              {payingPlan === plan.key ? '支付中...' : (active ? '续费' : '开通')}
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  )
+}
+
+export default MembershipCard
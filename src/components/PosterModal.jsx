@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { View, Text, Canvas } from '@tarojs/components'
+import Taro from '@tarojs/taro'
+import useJobStore from '../stores/jobStore'
+import {
+  POSTER_WIDTH,
+  POSTER_HEIGHT,
+  POSTER_TEMPLATES,
+  buildPosterCommands,
+  loadPosterImages,
+  paintPoster,
+  savePosterToAlbum
+} from '../utils/poster'
+import './PosterModal.less'
+
+const CANVAS_ID = 'job-poster-canvas'
+
+// 职位分享海报：选择模板、预览并保存到相册
+const PosterModal = ({ visible, job, onClose }) => {
+  const { createSharePoster } = useJobStore()
+  const [template, setTemplate] = useState(POSTER_TEMPLATES[0].key)
+  // 小程序码信息，获取失败时为空对象，海报上显示占位
+  const [poster, setPoster] = useState(null)
+  const [drawing, setDrawing] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const canvasRef = useRef(null)
+
+  // 打开时获取小程序码
+  useEffect(() => {
+    if (!visible || !job) return
+    setPoster(null)
+    createSharePoster(job.id, template)
+      .then(setPoster)
+      .catch(error => {
+        console.error('获取小程序码失败:', error)
+        setPoster({})
+        Taro.showToast({
+          title: error.message || '小程序码生成失败',
+          icon: 'none'
+        })
+      })
+  }, [visible, job && job.id])
+
+  // 小程序码或模板变化时重新绘制
+  useEffect(() => {
+    if (!visible || !poster) return
+    let cancelled = false
+    setDrawing(true)
+
+    Taro.createSelectorQuery()
+      .select(`#${CANVAS_ID}`)
+      .fields({ node: true, size: true })
+      .exec(async (res) => {
+        const canvas = res && res[0] && res[0].node
+        if (!canvas || cancelled) {
+          setDrawing(false)
+          return
+        }
+        canvas.width = POSTER_WIDTH
+        canvas.height = POSTER_HEIGHT
+        const commands = buildPosterCommands(job, { template, qrCode: poster.qrCode })
+        const images = await loadPosterImages(canvas, commands)
+        if (cancelled) return
+        paintPoster(canvas.getContext('2d'), commands, images)
+        canvasRef.current = canvas
+        setDrawing(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [visible, poster, template])
+
+  if (!visible || !job) return null
+
+  const handleSave = async () => {
+    if (drawing || saving || !canvasRef.current) return
+    setSaving(true)
+    try {
+      const saved = await savePosterToAlbum(canvasRef.current)
+      if (saved) {
+        Taro.showToast({
+          title: '已保存到相册',
+          icon: 'success'
+        })
+      }
+    } catch (error) {
+      console.error('保存海报失败:', error)
+      Taro.showToast({
+        title: '保存失败，请重试',
+        icon: 'none'
+      })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <View className="poster-modal">
+      <View className="poster-modal__mask" onClick={onClose} />
+      <View className="poster-modal__content">
+        <View className="poster-modal__canvas-wrap">
+          <Canvas type="2d" id={CANVAS_ID} className="poster-modal__canvas" />
+          {(drawing || !poster) && (
+            <View className="poster-modal__loading">
+              <Text className="poster-modal__loading-text">海报生成中...</Text>
+            </View>
+          )}
+        </View>
+
+        <View className="poster-modal__templates">
+          {POSTER_TEMPLATES.map(item => (
+            <View
+              key={item.key}
+              className={`poster-modal__template ${template === item.key ? 'poster-modal__template--active' : ''}`}
+              onClick={() => setTemplate(item.key)}
+            >
+              <View className="poster-modal__swatch" style={{ background: item.background }} />
+              <Text className="poster-modal__template-name">{item.name}</Text>
+            </View>
+          ))}
+        </View>
+
+        <View className="poster-modal__actions">
+          <View className="poster-modal__btn poster-modal__btn--secondary" onClick={onClose}>
+            <Text className="poster-modal__btn-text">关闭</Text>
+          </View>
+          <View
+            className={`poster-modal__btn poster-modal__btn--primary ${drawing || saving ? 'poster-modal__btn--disabled' : ''}`}
+            onClick={handleSave}
+          >
+            <Text className="poster-modal__btn-text">{saving ? '保存中...' : '保存到相册'}</Text>
+          </View>
+        </View>
+      </View>
+    </View>
+  )
+}
+
+export default PosterModal
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react'
+import { Picker } from '@tarojs/components'
+import { getProvinces, getChildren, getRegionPath } from '../utils/regions'
+
+const ANY_OPTION = { code: '', name: '不限' }
+
+// 省/市/县三列联动选择器，value 与 onChange 均为最精确一级的地区编码
+const RegionPicker = ({ value = '', allowAny = false, onChange, children }) => {
+  const withAny = (list) => allowAny ? [ANY_OPTION, ...list] : list
+
+  // 根据每列选中下标计算三列数据
+  const getColumns = (indices) => {
+    const provinces = withAny(getProvinces())
+    const province = provinces[indices[0]] || provinces[0]
+    const cities = withAny(province && province.code ? getChildren(province.code) : [])
+    const city = cities[indices[1]] || cities[0]
+    const counties = withAny(city && city.code ? getChildren(city.code) : [])
+    return [provinces, cities, counties]
+  }
+
+  // 地区编码 -> 每列选中下标
+  const getIndices = (code) => {
+    const path = getRegionPath(code)
+    const indices = [0, 0, 0]
+    path.forEach((region, level) => {
+      const column = getColumns(indices)[level]
+      const index = column.findIndex(item => item.code === region.code)
+      indices[level] = index > -1 ? index : 0
+    })
+    return indices
+  }
+
+  const [indices, setIndices] = useState(() => getIndices(value))
+
+  useEffect(() => {
+    setIndices(getIndices(value))
+  }, [value])
+
+  const columns = getColumns(indices)
+
+  // 某列滚动后，重置其后各列
+  const handleColumnChange = (e) => {
+    const { column, value: index } = e.detail
+    const next = indices.map((item, i) => {
+      if (i === column) return index
+      return i > column ? 0 : item
+    })
+    setIndices(next)
+  }
+
+  const handleChange = (e) => {
+    const picked = e.detail.value
+    const pickedColumns = getColumns(picked)
+    const selected = pickedColumns
+      .map((column, i) => column[picked[i]])
+      .filter(item => item && item.code)
+    const code = selected.length > 0 ? selected[selected.length - 1].code : ''
+    onChange && onChange(code)
+  }
+
+  const handleCancel = () => {
+    setIndices(getIndices(value))
+  }
+
+  return (
+    <Picker
+      mode="multiSelector"
+      range={columns}
+      rangeKey="name"
+      value={indices}
+      onColumnChange={handleColumnChange}
+      onChange={handleChange}
+      onCancel={handleCancel}
+    >
+      {children}
+    </Picker>
+  )
+}
+
+export default RegionPicker
@@ -0,0 +1,72 @@
+import React from 'react'
+import { View, Text } from '@tarojs/components'
+import HighlightText from './HighlightText'
+import './SearchDropdown.less'
+
+const SUGGESTION_TYPE_LABELS = {
+  title: '职位',
+  company: '公司',
+  tag: '标签'
+}
+
+// 搜索框下拉：输入为空时显示搜索历史和热门关键词，输入时显示联想词
+const SearchDropdown = ({ visible, keyword, history, hotKeywords, suggestions, onSelect, onClearHistory }) => {
+  if (!visible) return null
+
+  if (keyword.trim()) {
+    if (suggestions.length === 0) return null
+    return (
+      <View className="search-dropdown">
+        {suggestions.map(({ word, type }) => (
+          <View key={`${type}-${word}`} className="search-dropdown__suggestion" onClick={() => onSelect(word)}>
+            <HighlightText className="search-dropdown__suggestion-text" text={word} keyword={keyword} />
+            <Text className="search-dropdown__suggestion-type">{SUGGESTION_TYPE_LABELS[type]}</Text>
+          </View>
+        ))}
+      </View>
+    )
+  }
+
+  if (history.length === 0 && hotKeywords.length === 0) return null
+
+  return (
+    <View className="search-dropdown">
+      {history.length > 0 && (
+        <View className="search-dropdown__section">
+          <View className="search-dropdown__header">
+            <Text className="search-dropdown__title">搜索历史</Text>
+            <Text className="search-dropdown__clear" onClick={onClearHistory}>清空</Text>
+          </View>
+          <View className="search-dropdown__words">
+            {history.map(word => (
+              <Text key={word} className="search-dropdown__word" onClick={() => onSelect(word)}>
+                {word}
+              </Text>
+            ))}
+          </View>
+        </View>
+      )}
+
+      {hotKeywords.length > 0 && (
+        <View className="search-dropdown__section">
+          <View className="search-dropdown__header">
+            <Text className="search-dropdown__title">热门搜索</Text>
+          </View>
+          <View className="search-dropdown__words">
+            {hotKeywords.map((word, index) => (
+              <Text
+                key={word}
+                className={`search-dropdown__word ${index < 3 ? 'search-dropdown__word--hot' : ''}`}
+                onClick={() => onSelect(word)}
+              >
+                {word}
+              </Text>
+            ))}
+          </View>
+        </View>
+      )}
+    </View>
+  )
+}
+
+export default SearchDropdown
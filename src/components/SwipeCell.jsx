@@ -0,0 +1,60 @@
+import React, { useState, useRef } from 'react'
+import { View, Text } from '@tarojs/components'
+import './SwipeCell.less'
+
+// 左滑超过该距离（px）时展开操作按钮
+const SWIPE_THRESHOLD = 30
+
+// 左滑显示操作按钮的列表项，展开时点击内容区先收起
+const SwipeCell = ({ actionText = '删除', onAction, onClick, children }) => {
+  const [open, setOpen] = useState(false)
+  const startRef = useRef(null)
+
+  const handleTouchStart = (e) => {
+    const { clientX, clientY } = e.touches[0]
+    startRef.current = { x: clientX, y: clientY }
+  }
+
+  const handleTouchEnd = (e) => {
+    if (!startRef.current) return
+    const { clientX, clientY } = e.changedTouches[0]
+    const dx = clientX - startRef.current.x
+    const dy = clientY - startRef.current.y
+    startRef.current = null
+    // 纵向滚动不处理
+    if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return
+    setOpen(dx < 0)
+  }
+
+  const handleClick = () => {
+    if (open) {
+      setOpen(false)
+      return
+    }
+    onClick && onClick()
+  }
+
+  const handleAction = (e) => {
+    e.stopPropagation()
+    setOpen(false)
+    onAction && onAction()
+  }
+
+  return (
+    <View className="swipe-cell">
+      <View className="swipe-cell__action" onClick={handleAction}>
+        <Text className="swipe-cell__action-text">{actionText}</Text>
+      </View>
+      <View
+        className={`swipe-cell__content ${open ? 'swipe-cell__content--open' : ''}`}
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+        onClick={handleClick}
+      >
+        {children}
+      </View>
+    </View>
+  )
+}
+
+export default SwipeCell
@@ -0,0 +1,79 @@
+import React, { useState } from 'react'
+import { View, Text, ScrollView } from '@tarojs/components'
+import { formatJobLocation } from '../utils/regions'
+import { JOB_STATUS_LABELS, getJobStatus } from '../utils/jobStatus'
+import './TemplatePicker.less'
+
+const TABS = [
+  { key: 'template', label: '我的模板' },
+  { key: 'job', label: '复制已发布' }
+]
+
+// 新建职位时选择模板或复制自己发布过的职位，从底部弹出
+const TemplatePicker = ({ visible, templates, jobs, onSelectTemplate, onSelectJob, onRemoveTemplate, onClose }) => {
+  const [activeTab, setActiveTab] = useState('template')
+
+  if (!visible) return null
+
+  const renderTemplates = () => {
+    if (templates.length === 0) {
+      return <Text className="template-picker__empty">暂无模板，填写表单后点击“存为模板”即可保存</Text>
+    }
+    return templates.map(template => (
+      <View key={template.id} className="template-picker__item">
+        <View className="template-picker__info" onClick={() => onSelectTemplate(template)}>
+          <Text className="template-picker__name">{template.name}</Text>
+          <Text className="template-picker__meta">
+            {[template.formData.company, template.formData.contactName || template.formData.contact]
+              .filter(Boolean)
+              .join(' · ')}
+          </Text>
+        </View>
+        <Text className="template-picker__remove" onClick={() => onRemoveTemplate(template)}>删除</Text>
+      </View>
+    ))
+  }
+
+  const renderJobs = () => {
+    if (jobs.length === 0) {
+      return <Text className="template-picker__empty">还没有发布过职位</Text>
+    }
+    return jobs.map(job => (
+      <View key={job.id} className="template-picker__item" onClick={() => onSelectJob(job)}>
+        <View className="template-picker__info">
+          <Text className="template-picker__name">{job.title}</Text>
+          <Text className="template-picker__meta">
+            {job.company} · {formatJobLocation(job)} · {JOB_STATUS_LABELS[getJobStatus(job)]}
+          </Text>
+        </View>
+        <Text className="template-picker__use">复制</Text>
+      </View>
+    ))
+  }
+
+  return (
+    <View className="template-picker">
+      <View className="template-picker__mask" onClick={onClose} />
+      <View className="template-picker__content">
+        <View className="template-picker__tabs">
+          {TABS.map(tab => (
+            <Text
+              key={tab.key}
+              className={`template-picker__tab ${activeTab === tab.key ? 'template-picker__tab--active' : ''}`}
+              onClick={() => setActiveTab(tab.key)}
+            >
+              {tab.label}
+            </Text>
+          ))}
+          <Text className="template-picker__close" onClick={onClose}>关闭</Text>
+        </View>
+
+        <ScrollView scrollY className="template-picker__list">
+          {activeTab === 'template' ? renderTemplates() : renderJobs()}
+        </ScrollView>
+      </View>
+    </View>
+  )
+}
+
+export default TemplatePicker
@@ -1,3 +1,6 @@
 export default definePageConfig({
-  navigationBarTitleText: '职位详情'
+  navigationBarTitleText: '职位详情',
+  // useShareAppMessage / useShareTimeline 需要开启
+  enableShareAppMessage: true,
+  enableShareTimeline: true
 })
\ No newline at end of file
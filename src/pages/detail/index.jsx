@@ -1,33 +1,192 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { View, Text, Button } from '@tarojs/components'
-import Taro, { useRouter } from '@tarojs/taro'
+import Taro, { useRouter, useDidShow, useShareAppMessage, useShareTimeline } from '@tarojs/taro'
 import useJobStore from '../../stores/jobStore'
+import JobDetailView from '../../components/JobDetailView'
+import PosterModal from '../../components/PosterModal'
+import { JOB_STATUS, JOB_STATUS_LABELS, getJobStatus, isJobPublished } from '../../utils/jobStatus'
+import { parsePosterScene } from '../../utils/poster'
+import {
+  SHARE_TYPES,
+  SHARE_POLL_INTERVAL,
+  SHARE_POLL_TIMES,
+  buildShareQuery,
+  getShareImage,
+  getShareTitle,
+  toShareDate
+} from '../../utils/share'
+import { POINTS_TYPES } from '../../utils/points'
+import { UNLOCK_SCOPES, canUnlockBy, getLockRuleText, getUnlockValidText } from '../../utils/unlockPolicy'
 import './index.less'
 
 const Detail = () => {
   const router = useRouter()
-  const { id } = router.params
+  // 扫海报上的小程序码进入时，职位ID和分享ID在 scene 参数中
+  const scene = parsePosterScene(router.params.scene)
+  const id = router.params.id || scene.id
+  // 从别人的分享打开时的分享ID
+  const sharedId = router.params.shareId || scene.s
   
-  const { getJobById, isDateUnlocked, shareJob } = useJobStore()
+  const {
+    getJobById,
+    getJobAccess,
+    isJobUnlocked,
+    isDatePending,
+    unlockPolicy,
+    getPointsAccount,
+    points,
+    membership,
+    unlockDay,
+    unlockJob,
+    shareJob,
+    openSharedJob,
+    syncUnlockStatus,
+    syncPoints,
+    isFavorite,
+    toggleFavorite,
+    recordView
+  } = useJobStore()
   const [job, setJob] = useState(null)
-  const [sharing, setSharing] = useState(false)
+  const [posterVisible, setPosterVisible] = useState(false)
+  // 已分享、等待好友打开确认，期间轮询分享状态和积分
+  const waitingShare = Boolean(job) && !isJobUnlocked(job) && isDatePending(job.publishDate)
+  const waitingRef = useRef(false)
+  // 服务端对锁定的职位不返回联系电话：本地已解锁（积分待同步、刚开通会员）时，同步后重新获取
+  const contactPending = Boolean(job) && job.isUnlocked === false && isJobUnlocked(job)
+  const { balance } = getPointsAccount()
+  const { rules } = points
 
+  // 开启带 shareTicket 的转发和分享到朋友圈
   useEffect(() => {
-    if (id) {
-      const jobData = getJobById(id)
-      setJob(jobData)
-      
-      if (!jobData) {
+    Taro.showShareMenu({
+      withShareTicket: true,
+      menus: ['shareAppMessage', 'shareTimeline']
+    })
+  }, [])
+
+  useEffect(() => {
+    if (!sharedId) return
+    openSharedJob(sharedId).catch(error => {
+      console.error('确认分享失败:', error)
+    })
+  }, [sharedId])
+
+  // 从分享面板返回时同步分享状态和积分
+  const syncShareStatus = () => {
+    Promise.all([syncUnlockStatus(), syncPoints()]).catch(error => {
+      console.error('同步分享状态失败:', error)
+    })
+  }
+
+  useDidShow(syncShareStatus)
+
+  useEffect(() => {
+    if (!waitingShare) return
+    let times = 0
+    const timer = setInterval(() => {
+      times += 1
+      if (times >= SHARE_POLL_TIMES) {
+        clearInterval(timer)
+      }
+      syncShareStatus()
+    }, SHARE_POLL_INTERVAL)
+    return () => clearInterval(timer)
+  }, [waitingShare])
+
+  // 好友打开分享后提示积分到账
+  useEffect(() => {
+    if (waitingRef.current && !waitingShare && job && !isJobUnlocked(job)) {
+      Taro.showToast({
+        title: '好友已打开分享，积分已到账',
+        icon: 'none'
+      })
+    }
+    waitingRef.current = waitingShare
+  }, [waitingShare])
+
+  useEffect(() => {
+    if (!contactPending) return
+    getJobById(job.id)
+      .then(jobData => jobData && setJob(jobData))
+      .catch(error => {
+        console.error('刷新职位详情失败:', error)
+      })
+  }, [contactPending, points.syncedAt, membership])
+
+  // 分享时登记，返回带分享ID的查询参数
+  const startShare = (shareType) => {
+    const { shareId, recorded } = shareJob(job, shareType)
+    recorded.catch(error => {
+      console.error('登记分享失败:', error)
+      Taro.showToast({
+        title: error.message || '分享失败，请重试',
+        icon: 'none'
+      })
+    })
+    return buildShareQuery(job.id, shareId)
+  }
+
+  useShareAppMessage(() => {
+    if (!job) {
+      return {
+        title: '工程招聘职位分享',
+        path: `/pages/detail/index?id=${id}`
+      }
+    }
+    return {
+      title: getShareTitle(job),
+      path: `/pages/detail/index?${startShare(SHARE_TYPES.WECHAT)}`,
+      imageUrl: getShareImage(job)
+    }
+  })
+
+  useShareTimeline(() => {
+    if (!job) {
+      return {
+        title: '优质工程职位推荐',
+        query: `id=${id}`
+      }
+    }
+    return {
+      title: getShareTitle(job, SHARE_TYPES.TIMELINE),
+      query: startShare(SHARE_TYPES.TIMELINE),
+      imageUrl: getShareImage(job)
+    }
+  })
+
+  useEffect(() => {
+    if (!id) return
+
+    const loadJob = async () => {
+      try {
+        const jobData = await getJobById(id, { countView: true })
+        setJob(jobData)
+
+        if (jobData) {
+          // 未发布的职位只有发布者本人能打开，不计入浏览记录
+          if (isJobPublished(jobData)) {
+            recordView(jobData)
+          }
+        } else {
+          Taro.showToast({
+            title: '职位不存在',
+            icon: 'none'
+          })
+          setTimeout(() => {
+            Taro.navigateBack()
+          }, 1500)
+        }
+      } catch (error) {
+        console.error('加载职位详情失败:', error)
         Taro.showToast({
-          title: '职位不存在',
+          title: error.message || '加载失败，请重试',
           icon: 'none'
         })
-        setTimeout(() => {
-          Taro.navigateBack()
-        }, 1500)
       }
     }
-  }, [id, getJobById])
+
+    loadJob()
+  }, [id])
 
   if (!job) {
     return (
@@ -39,44 +198,32 @@ const Detail = () => {
     )
   }
 
-  const isUnlocked = isDateUnlocked(job.publishDate)
-  const isToday = job.publishDate === new Date().toDateString()
-  const canView = isUnlocked || isToday
+  // 发布者本人、免费期内、会员和积分解锁都可以查看，按解锁策略判断
+  const canView = getJobAccess(job).unlocked
+  const status = getJobStatus(job)
+  const favorited = isFavorite(job.id)
 
-  // 处理分享
-  const handleShare = async () => {
-    setSharing(true)
-    
-    try {
-      // 调用分享功能
-      await Taro.showShareMenu({
-        withShareTicket: true,
-        menus: ['shareAppMessage', 'shareTimeline']
-      })
-      
-      // 模拟分享成功
-      const success = await shareJob(job.id)
-      if (success) {
-        // 分享成功，重新获取职位信息以更新解锁状态
-        const updatedJob = getJobById(id)
-        setJob(updatedJob)
-      }
-    } catch (error) {
-      console.error('分享失败:', error)
-      Taro.showToast({
-        title: '分享失败，请重试',
-        icon: 'error'
-      })
-    } finally {
-      setSharing(false)
-    }
+  // 收藏/取消收藏
+  const handleFavorite = () => {
+    const result = toggleFavorite(job)
+    Taro.showToast({
+      title: result ? '已收藏' : '已取消收藏',
+      icon: 'none'
+    })
   }
 
   // 拨打电话
   const handleCall = () => {
     if (!canView) {
       Taro.showToast({
-        title: '请先分享解锁',
+        title: '请先解锁联系方式',
+        icon: 'none'
+      })
+      return
+    }
+    if (contactPending) {
+      Taro.showToast({
+        title: '解锁记录同步中，请稍后再试',
         icon: 'none'
       })
       return
@@ -95,11 +242,63 @@ const Detail = () => {
     })
   }
 
+  // 用积分解锁本职位或当天发布的全部职位
+  const handleUnlock = (type) => {
+    const isDay = type === POINTS_TYPES.UNLOCK_DAY
+    const cost = isDay ? rules.unlockDay : rules.unlockJob
+    if (balance < cost) {
+      Taro.showModal({
+        title: '积分不足',
+        content: `解锁需要 ${cost} 积分，当前 ${balance} 积分。分享职位、邀请好友或每日签到都可以获得积分`,
+        confirmText: '赚积分',
+        success: (res) => {
+          if (res.confirm) {
+            Taro.navigateTo({ url: '/pages/points/index' })
+          }
+        }
+      })
+      return
+    }
+
+    Taro.showModal({
+      title: isDay ? '解锁当天职位' : '解锁职位',
+      content: isDay
+        ? `使用 ${cost} 积分解锁 ${toShareDate(job.publishDate)} 发布的全部职位？${getUnlockValidText(unlockPolicy)}`
+        : `使用 ${cost} 积分解锁该职位的联系方式？${getUnlockValidText(unlockPolicy)}`,
+      success: (res) => {
+        if (!res.confirm) return
+        try {
+          if (isDay) {
+            unlockDay(job.publishDate)
+          } else {
+            unlockJob(job)
+          }
+          Taro.showToast({
+            title: '已解锁',
+            icon: 'success'
+          })
+        } catch (error) {
+          Taro.showToast({
+            title: error.message || '解锁失败，请重试',
+            icon: 'none'
+          })
+        }
+      }
+    })
+  }
+
   // 复制联系方式
   const handleCopy = () => {
     if (!canView) {
       Taro.showToast({
-        title: '请先分享解锁',
+        title: '请先解锁联系方式',
+        icon: 'none'
+      })
+      return
+    }
+    if (contactPending) {
+      Taro.showToast({
+        title: '解锁记录同步中，请稍后再试',
         icon: 'none'
       })
       return
@@ -116,110 +315,78 @@ const Detail = () => {
     })
   }
 
-  // 格式化时间
-  const formatTime = (dateString) => {
-    const date = new Date(dateString)
-    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
-  }
-
   return (
     <View className="detail">
-      {/* 职位头部信息 */}
-      <View className="detail__header">
-        <Text className="detail__title">{job.title}</Text>
-        <Text className="detail__salary">{job.salary}</Text>
-        <View className="detail__meta">
-          <Text className="detail__company">{job.company}</Text>
-          <Text className="detail__location">{job.location}</Text>
-          <Text className="detail__time">{formatTime(job.publishTime)}</Text>
-        </View>
-      </View>
-
-      {/* 职位要求 */}
-      <View className="detail__section">
-        <Text className="detail__section-title">职位要求</Text>
-        <View className="detail__requirements">
-          {job.experience && (
-            <View className="detail__requirement-item">
-              <Text className="detail__requirement-label">工作经验：</Text>
-              <Text className="detail__requirement-value">{job.experience}</Text>
-            </View>
-          )}
-          {job.education && (
-            <View className="detail__requirement-item">
-              <Text className="detail__requirement-label">学历要求：</Text>
-              <Text className="detail__requirement-value">{job.education}</Text>
-            </View>
-          )}
-        </View>
-
-        {/* 技能标签 */}
-        {job.tags && job.tags.length > 0 && (
-          <View className="detail__tags">
-            {job.tags.map((tag, index) => (
-              <View key={index} className="detail__tag">
-                <Text className="detail__tag-text">{tag}</Text>
-              </View>
-            ))}
-          </View>
-        )}
-      </View>
-
-      {/* 职位描述 */}
-      <View className="detail__section">
-        <Text className="detail__section-title">职位描述</Text>
-        <Text className="detail__description">{job.description}</Text>
-      </View>
-
-      {/* 任职要求 */}
-      {job.requirements && (
-        <View className="detail__section">
-          <Text className="detail__section-title">任职要求</Text>
-          <Text className="detail__description">{job.requirements}</Text>
+      {/* 未发布状态提示，仅发布者可见 */}
+      {status !== JOB_STATUS.PUBLISHED && (
+        <View className={`detail__status detail__status--${status}`}>
+          <Text className="detail__status-text">
+            {JOB_STATUS_LABELS[status]}
+            {status === JOB_STATUS.REVIEWING && '，审核通过后求职者即可看到'}
+            {status === JOB_STATUS.REJECTED && job.rejectReason && `：${job.rejectReason}`}
+          </Text>
         </View>
       )}
 
-      {/* 福利待遇 */}
-      {job.benefits && (
-        <View className="detail__section">
-          <Text className="detail__section-title">福利待遇</Text>
-          <Text className="detail__description">{job.benefits}</Text>
-        </View>
-      )}
-
-      {/* 联系信息 */}
-      <View className="detail__section">
-        <Text className="detail__section-title">联系信息</Text>
-        
-        {canView ? (
-          <View className="detail__contact">
-            <View className="detail__contact-item">
-              <Text className="detail__contact-label">联系人：</Text>
-              <Text className="detail__contact-value">{job.contactName}</Text>
-            </View>
-            <View className="detail__contact-item">
-              <Text className="detail__contact-label">联系电话：</Text>
-              <Text className="detail__contact-value">{job.contact}</Text>
+      <JobDetailView
+        job={job}
+        extra={(
+          <View className="detail__header-actions">
+            {status === JOB_STATUS.PUBLISHED && (
+              <View className="detail__header-action" onClick={() => setPosterVisible(true)}>
+                <Text className="detail__header-action-icon">🖼</Text>
+                <Text className="detail__header-action-text">海报</Text>
+              </View>
+            )}
+            <View
+              className={`detail__header-action ${favorited ? 'detail__header-action--active' : ''}`}
+              onClick={handleFavorite}
+            >
+              <Text className="detail__header-action-icon">{favorited ? '★' : '☆'}</Text>
+              <Text className="detail__header-action-text">{favorited ? '已收藏' : '收藏'}</Text>
             </View>
           </View>
-        ) : (
+        )}
+        locked={!canView && (
           <View className="detail__locked">
             <View className="detail__locked-icon">🔒</View>
             <Text className="detail__locked-title">联系方式已锁定</Text>
             <Text className="detail__locked-desc">
-              历史职位需要分享后才能查看完整联系方式
+              {getLockRuleText(unlockPolicy)}，分享职位给好友、邀请新用户或每日签到都能获得积分
             </Text>
-            <View 
-              className={`detail__share-btn ${sharing ? 'detail__share-btn--loading' : ''}`}
-              onClick={handleShare}
-            >
-              <Text className="detail__share-btn-text">
-                {sharing ? '分享中...' : '分享解锁'}
-              </Text>
+            <Text className="detail__locked-balance">当前积分 {balance}</Text>
+            <View className="detail__unlock-options">
+              {canUnlockBy(unlockPolicy, UNLOCK_SCOPES.JOB) && (
+                <View className="detail__unlock-option" onClick={() => handleUnlock(POINTS_TYPES.UNLOCK_JOB)}>
+                  <Text className="detail__unlock-name">解锁本职位</Text>
+                  <Text className="detail__unlock-cost">{rules.unlockJob} 积分</Text>
+                </View>
+              )}
+              {canUnlockBy(unlockPolicy, UNLOCK_SCOPES.DAY) && (
+                <View className="detail__unlock-option" onClick={() => handleUnlock(POINTS_TYPES.UNLOCK_DAY)}>
+                  <Text className="detail__unlock-name">解锁当天全部职位</Text>
+                  <Text className="detail__unlock-cost">{rules.unlockDay} 积分</Text>
+                </View>
+              )}
             </View>
+            <Text className="detail__vip-link" onClick={() => Taro.switchTab({ url: '/pages/user/index' })}>
+              开通会员，全部历史职位直接查看 ›
+            </Text>
+            {waitingShare && (
+              <Text className="detail__locked-bonus">分享已发出，好友打开后获得 {rules.share} 积分</Text>
+            )}
+            <Button className="detail__share-btn" openType="share">
+              {waitingShare ? '再分享给其他好友' : '分享给好友赚积分'}
+            </Button>
           </View>
         )}
-      </View>
+      />
+
+      <PosterModal
+        visible={posterVisible}
+        job={job}
+        onClose={() => setPosterVisible(false)}
+      />
 
       {/* 底部操作栏 */}
       {canView && (
@@ -236,13 +403,8 @@ const Detail = () => {
       {/* 分享按钮（历史职位且未解锁时显示） */}
       {!canView && (
         <View className="detail__bottom-share">
-          <Button 
-            className="detail__share-button"
-            openType="share"
-            loading={sharing}
-            onClick={handleShare}
-          >
-            {sharing ? '分享中...' : '分享到微信解锁'}
+          <Button className="detail__share-button" openType="share">
+            分享赚积分
           </Button>
         </View>
       )}
@@ -250,33 +412,4 @@ const Detail = () => {
   )
 }
 
-// 分享配置
-Detail.onShareAppMessage = () => {
-  const { getJobById } = useJobStore.getState()
-  const pages = Taro.getCurrentPages()
-  const currentPage = pages[pages.length - 1]
-  const { id } = currentPage.options
-  const job = getJobById(id)
-
-  return {
-    title: job ? `${job.title} - ${job.company}` : '工程招聘职位分享',
-    path: `/pages/detail/index?id=${id}`,
-    imageUrl: '' // 可以设置分享图片
-  }
-}
-
-Detail.onShareTimeline = () => {
-  const { getJobById } = useJobStore.getState()
-  const pages = Taro.getCurrentPages()
-  const currentPage = pages[pages.length - 1]
-  const { id } = currentPage.options
-  const job = getJobById(id)
-
-  return {
-    title: job ? `${job.title} - ${job.company} 招聘中` : '优质工程职位推荐',
-    query: `id=${id}`,
-    imageUrl: '' // 可以设置分享图片
-  }
-}
-
 export default Detail 
\ No newline at end of file
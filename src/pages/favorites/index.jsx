@@ -0,0 +1,82 @@
+import React from 'react'
+import { View, Text } from '@tarojs/components'
+import Taro, { useDidShow } from '@tarojs/taro'
+import JobCard from '../../components/JobCard'
+import useJobStore from '../../stores/jobStore'
+import { formatJobSalary } from '../../utils/salary'
+import './index.less'
+
+const Favorites = () => {
+  const { favorites, toggleFavorite, refreshFavorites } = useJobStore()
+  const offlineFavorites = favorites.filter(item => item.offline)
+
+  // 每次进入页面同步收藏并检查职位是否已下架
+  useDidShow(() => {
+    refreshFavorites().catch(error => {
+      console.error('刷新收藏失败:', error)
+    })
+  })
+
+  // 一键移除已下架的收藏
+  const handleClearOffline = () => {
+    Taro.showModal({
+      title: '清理收藏',
+      content: `确定移除 ${offlineFavorites.length} 个已下架的职位吗？`,
+      success: (res) => {
+        if (res.confirm) {
+          offlineFavorites.forEach(item => toggleFavorite(item.job))
+        }
+      }
+    })
+  }
+
+  if (favorites.length === 0) {
+    return (
+      <View className="favorites">
+        <View className="favorites__empty">
+          <View className="favorites__empty-icon">☆</View>
+          <Text className="favorites__empty-title">还没有收藏</Text>
+          <Text className="favorites__empty-desc">
+            在职位卡片或详情页点击星标即可收藏感兴趣的职位
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
+  return (
+    <View className="favorites">
+      <View className="favorites__summary">
+        <Text className="favorites__summary-text">
+          共 {favorites.length} 个收藏
+          {offlineFavorites.length > 0 && `，${offlineFavorites.length} 个已下架`}
+        </Text>
+        {offlineFavorites.length > 0 && (
+          <Text className="favorites__clear" onClick={handleClearOffline}>清理已下架</Text>
+        )}
+      </View>
+
+      {favorites.map(({ jobId, job, offline }) => (
+        offline ? (
+          /* 已下架：只保留收藏时的快照，不能再查看详情 */
+          <View key={jobId} className="favorites__offline">
+            <View className="favorites__offline-info">
+              <View className="favorites__offline-title-row">
+                <Text className="favorites__offline-title">{job.title}</Text>
+                <Text className="favorites__offline-badge">已下架</Text>
+              </View>
+              <Text className="favorites__offline-meta">
+                {job.company} · {formatJobSalary(job)}
+              </Text>
+            </View>
+            <Text className="favorites__remove" onClick={() => toggleFavorite(job)}>移除</Text>
+          </View>
+        ) : (
+          <JobCard key={jobId} job={job} showLockStatus={true} />
+        )
+      ))}
+    </View>
+  )
+}
+
+export default Favorites
@@ -1,26 +1,28 @@
-import React, { useEffect, useState } from 'react'
+import React from 'react'
 import { View, Text, ScrollView } from '@tarojs/components'
 import Taro, { usePullDownRefresh } from '@tarojs/taro'
 import JobCard from '../../components/JobCard'
 import FilterBar from '../../components/FilterBar'
 import useJobStore from '../../stores/jobStore'
+import { getTotalNewCount } from '../../utils/subscriptions'
 import './index.less'
 
 const Home = () => {
   const { 
     filteredJobs, 
-    getTodayJobs, 
+    pagination,
+    listLoading,
+    listError,
+    loadingMore,
+    loadMoreError,
+    subscriptions,
     refreshJobs,
-    applyFilters,
+    loadMoreJobs,
     resetFilters
   } = useJobStore()
-  
-  const [loading, setLoading] = useState(false)
-  const [isEmpty, setIsEmpty] = useState(false)
 
   // 下拉刷新
   usePullDownRefresh(async () => {
-    setLoading(true)
     try {
       await refreshJobs()
       Taro.showToast({
@@ -34,25 +36,60 @@ const Home = () => {
         icon: 'error'
       })
     } finally {
-      setLoading(false)
       Taro.stopPullDownRefresh()
     }
   })
 
-  // 页面加载时应用筛选
-  useEffect(() => {
-    applyFilters()
-    setIsEmpty(filteredJobs.length === 0)
-  }, [filteredJobs, applyFilters])
-
-  // 获取今日职位数量
-  const todayJobsCount = getTodayJobs().length
+  // 订阅的新职位总数
+  const subscriptionNewCount = getTotalNewCount(subscriptions)
 
   // 手动刷新
   const handleRefresh = async () => {
-    setLoading(true)
-    await refreshJobs()
-    setLoading(false)
+    try {
+      await refreshJobs()
+    } catch (error) {
+      Taro.showToast({
+        title: '刷新失败',
+        icon: 'error'
+      })
+    }
+  }
+
+  // 滚动到底部加载下一页
+  const handleScrollToLower = () => {
+    if (loadMoreError) return
+    loadMoreJobs()
+  }
+
+  // 列表底部状态
+  const renderFooter = () => {
+    if (loadingMore) {
+      return (
+        <View className="home__bottom-tip">
+          <Text className="home__bottom-tip-text">加载中...</Text>
+        </View>
+      )
+    }
+
+    if (loadMoreError) {
+      return (
+        <View className="home__bottom-tip home__bottom-tip--error" onClick={loadMoreJobs}>
+          <Text className="home__bottom-tip-text">加载失败，点击重试</Text>
+        </View>
+      )
+    }
+
+    if (!pagination.hasMore) {
+      return (
+        <View className="home__bottom-tip">
+          <Text className="home__bottom-tip-text">
+            没有更多了 · 下拉刷新获取最新信息
+          </Text>
+        </View>
+      )
+    }
+
+    return null
   }
 
   return (
@@ -63,15 +100,28 @@ const Home = () => {
       {/* 统计信息 */}
       <View className="home__stats">
         <View className="home__stats-item">
-          <Text className="home__stats-number">{filteredJobs.length}</Text>
+          <Text className="home__stats-number">{pagination.total}</Text>
           <Text className="home__stats-label">个职位</Text>
         </View>
         <View className="home__stats-divider"></View>
         <View className="home__stats-item">
-          <Text className="home__stats-number">{todayJobsCount}</Text>
+          <Text className="home__stats-number">{pagination.todayCount}</Text>
           <Text className="home__stats-label">今日新增</Text>
         </View>
-        {!loading && (
+        {subscriptions.length > 0 && (
+          <View
+            className="home__subscription-btn"
+            onClick={() => Taro.navigateTo({ url: '/pages/subscriptions/index' })}
+          >
+            <Text className="home__subscription-text">🔔 订阅</Text>
+            {subscriptionNewCount > 0 && (
+              <Text className="home__badge">
+                {subscriptionNewCount > 99 ? '99+' : subscriptionNewCount}
+              </Text>
+            )}
+          </View>
+        )}
+        {!listLoading && (
           <View className="home__refresh-btn" onClick={handleRefresh}>
             <Text className="home__refresh-text">🔄 刷新</Text>
           </View>
@@ -79,7 +129,7 @@ const Home = () => {
       </View>
 
       {/* 加载状态 */}
-      {loading && (
+      {listLoading && (
         <View className="home__loading">
           <Text className="home__loading-text">老板、请稍等，正在努力查询</Text>
           <View className="home__loading-bar">
@@ -89,12 +139,14 @@ const Home = () => {
       )}
 
       {/* 职位列表 */}
-      {!loading && (
+      {!listLoading && (
         <ScrollView
           className="home__list"
           scrollY
           enhanced
           showScrollbar={false}
+          lowerThreshold={50}
+          onScrollToLower={handleScrollToLower}
         >
           {filteredJobs.length > 0 ? (
             <View className="home__jobs">
@@ -107,27 +159,38 @@ const Home = () => {
               ))}
               
               {/* 底部提示 */}
-              <View className="home__bottom-tip">
-                <Text className="home__bottom-tip-text">
-                  已显示全部职位 · 下拉刷新获取最新信息
-                </Text>
-              </View>
+              {renderFooter()}
             </View>
           ) : (
-            /* 空状态 */
-            <View className="home__empty">
-              <View className="home__empty-icon">🔍</View>
-              <Text className="home__empty-title">暂无匹配职位</Text>
-              <Text className="home__empty-desc">
-                试试调整筛选条件或搜索其他关键词
-              </Text>
-              <View 
-                className="home__empty-btn"
-                onClick={resetFilters}
-              >
-                <Text className="home__empty-btn-text">重置筛选</Text>
+            listError ? (
+              /* 加载失败 */
+              <View className="home__empty">
+                <View className="home__empty-icon">⚠️</View>
+                <Text className="home__empty-title">加载失败</Text>
+                <Text className="home__empty-desc">{listError}</Text>
+                <View 
+                  className="home__empty-btn"
+                  onClick={handleRefresh}
+                >
+                  <Text className="home__empty-btn-text">重新加载</Text>
+                </View>
               </View>
-            </View>
+            ) : (
+              /* 空状态 */
+              <View className="home__empty">
+                <View className="home__empty-icon">🔍</View>
+                <Text className="home__empty-title">暂无匹配职位</Text>
+                <Text className="home__empty-desc">
+                  试试调整筛选条件或搜索其他关键词
+                </Text>
+                <View 
+                  className="home__empty-btn"
+                  onClick={resetFilters}
+                >
+                  <Text className="home__empty-btn-text">重置筛选</Text>
+                </View>
+              </View>
+            )
           )}
         </ScrollView>
       )}
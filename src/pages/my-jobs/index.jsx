@@ -0,0 +1,172 @@
+import React from 'react'
+import { View, Text } from '@tarojs/components'
+import Taro, { useDidShow, usePullDownRefresh } from '@tarojs/taro'
+import useJobStore from '../../stores/jobStore'
+import { formatJobLocation } from '../../utils/regions'
+import { formatJobSalary } from '../../utils/salary'
+import { JOB_STATUS, JOB_STATUS_LABELS, getJobStatus, getJobActions } from '../../utils/jobStatus'
+import './index.less'
+
+const MyJobs = () => {
+  const {
+    myJobs,
+    loadMyJobs,
+    startEditJob,
+    takeJobOffline,
+    repostJob,
+    refreshJobToTop,
+    submitJob
+  } = useJobStore()
+
+  const reload = async () => {
+    try {
+      await loadMyJobs()
+    } catch (error) {
+      Taro.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      })
+    }
+  }
+
+  useDidShow(() => {
+    reload()
+  })
+
+  usePullDownRefresh(async () => {
+    await reload()
+    Taro.stopPullDownRefresh()
+  })
+
+  // 执行职位操作并提示结果
+  const runAction = async (action, successText) => {
+    Taro.showLoading({ title: '处理中' })
+    try {
+      await action()
+      Taro.hideLoading()
+      Taro.showToast({
+        title: successText,
+        icon: 'success'
+      })
+    } catch (error) {
+      Taro.hideLoading()
+      Taro.showToast({
+        title: error.message || '操作失败，请重试',
+        icon: 'none'
+      })
+    }
+  }
+
+  // 编辑：发布页是 tab 页无法带参数，通过 store 进入编辑模式
+  const handleEdit = (job) => {
+    startEditJob(job)
+    Taro.switchTab({ url: '/pages/publish/index' })
+  }
+
+  const handleOffline = (job) => {
+    Taro.showModal({
+      title: '下架职位',
+      content: getJobStatus(job) === JOB_STATUS.REVIEWING
+        ? '下架后将撤回审核，可随时重新发布'
+        : '下架后求职者将无法看到该职位，可随时重新发布',
+      success: (res) => {
+        if (res.confirm) {
+          runAction(() => takeJobOffline(job.id), '已下架')
+        }
+      }
+    })
+  }
+
+  const handleRepost = (job) => {
+    runAction(() => repostJob(job.id), '已重新发布')
+  }
+
+  const handleRefresh = (job) => {
+    runAction(() => refreshJobToTop(job.id), '已刷新到顶部')
+  }
+
+  const handleSubmit = (job) => {
+    runAction(() => submitJob(job.id), '已提交审核')
+  }
+
+  // 各状态可执行的操作，顺序与 getJobActions 返回一致
+  const ACTION_BUTTONS = {
+    edit: { text: '编辑', handler: handleEdit },
+    submit: { text: '提交审核', handler: handleSubmit, type: 'primary' },
+    refresh: { text: '刷新置顶', handler: handleRefresh },
+    offline: { text: '下架', handler: handleOffline, type: 'danger' },
+    repost: { text: '重新发布', handler: handleRepost, type: 'primary' }
+  }
+
+  // 格式化时间
+  const formatDate = (dateString) => {
+    const date = new Date(dateString)
+    return `${date.getMonth() + 1}月${date.getDate()}日`
+  }
+
+  if (myJobs.length === 0) {
+    return (
+      <View className="my-jobs">
+        <View className="my-jobs__empty">
+          <View className="my-jobs__empty-icon">📝</View>
+          <Text className="my-jobs__empty-title">还没有发布过职位</Text>
+          <View
+            className="my-jobs__empty-btn"
+            onClick={() => Taro.switchTab({ url: '/pages/publish/index' })}
+          >
+            <Text className="my-jobs__empty-btn-text">去发布</Text>
+          </View>
+        </View>
+      </View>
+    )
+  }
+
+  return (
+    <View className="my-jobs">
+      {myJobs.map((job) => {
+        const status = getJobStatus(job)
+        return (
+          <View key={job.id} className="my-jobs__item">
+            <View
+              className="my-jobs__info"
+              onClick={() => Taro.navigateTo({ url: `/pages/detail/index?id=${job.id}` })}
+            >
+              <View className="my-jobs__title-row">
+                <Text className="my-jobs__title">{job.title}</Text>
+                <Text className={`my-jobs__status my-jobs__status--${status}`}>
+                  {JOB_STATUS_LABELS[status]}
+                </Text>
+              </View>
+              <Text className="my-jobs__salary">{formatJobSalary(job)}</Text>
+              <Text className="my-jobs__meta">
+                {formatJobLocation(job)} · {job.publishTime
+                  ? `${formatDate(job.publishTime)}发布`
+                  : `${formatDate(job.createTime)}创建`} · {job.viewCount || 0}次浏览
+              </Text>
+              {status === JOB_STATUS.REJECTED && job.rejectReason && (
+                <Text className="my-jobs__reject">驳回原因：{job.rejectReason}</Text>
+              )}
+            </View>
+
+            <View className="my-jobs__actions">
+              {getJobActions(job).map(key => {
+                const { text, handler, type } = ACTION_BUTTONS[key]
+                return (
+                  <Text
+                    key={key}
+                    className={`my-jobs__action ${type ? `my-jobs__action--${type}` : ''}`}
+                    onClick={() => handler(job)}
+                  >
+                    {text}
+                  </Text>
+                )
+              })}
+            </View>
+          </View>
+        )
+      })}
+    </View>
+  )
+}
+
+export default MyJobs
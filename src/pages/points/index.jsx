@@ -0,0 +1,114 @@
+import React from 'react'
+import { View, Text } from '@tarojs/components'
+import Taro, { useDidShow } from '@tarojs/taro'
+import useJobStore from '../../stores/jobStore'
+import { POINTS_TYPE_LABELS } from '../../utils/points'
+import { UNLOCK_SCOPES, canUnlockBy, getUnlockValidText } from '../../utils/unlockPolicy'
+import './index.less'
+
+// 流水时间
+const formatTime = (dateString) => {
+  const date = new Date(dateString)
+  return `${date.getMonth() + 1}月${date.getDate()}日 ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+}
+
+const Points = () => {
+  const { points, unlockPolicy, getPointsAccount, hasCheckedInToday, checkIn, syncPoints } = useJobStore()
+  const { rules, pending } = points
+  const { balance, transactions } = getPointsAccount()
+  const pendingIds = pending.map(item => item.clientId)
+  const checkedIn = hasCheckedInToday()
+
+  // 每次进入页面与服务端对账
+  useDidShow(() => {
+    syncPoints().catch(error => {
+      console.error('同步积分失败:', error)
+    })
+  })
+
+  const handleCheckIn = () => {
+    try {
+      checkIn()
+      Taro.showToast({
+        title: `签到成功 +${rules.checkIn}`,
+        icon: 'success'
+      })
+    } catch (error) {
+      Taro.showToast({
+        title: error.message || '签到失败，请重试',
+        icon: 'none'
+      })
+    }
+  }
+
+  // 只列出解锁策略允许的解锁方式
+  const validText = getUnlockValidText(unlockPolicy)
+  const ruleItems = [
+    { label: '分享职位被好友打开', value: `+${rules.share}`, note: `每天最多 ${rules.shareDailyLimit} 次` },
+    { label: '邀请新用户', value: `+${rules.invite}`, note: '新用户通过你的分享进入' },
+    { label: '每日签到', value: `+${rules.checkIn}`, note: '每天一次' },
+    canUnlockBy(unlockPolicy, UNLOCK_SCOPES.JOB) &&
+      { label: '解锁单个职位', value: `-${rules.unlockJob}`, note: `查看该职位的联系方式，${validText}` },
+    canUnlockBy(unlockPolicy, UNLOCK_SCOPES.DAY) &&
+      { label: '解锁当天职位', value: `-${rules.unlockDay}`, note: `查看同一天发布的全部职位，${validText}` }
+  ].filter(Boolean)
+
+  return (
+    <View className="points">
+      <View className="points__header">
+        <Text className="points__balance-label">当前积分</Text>
+        <Text className="points__balance">{balance}</Text>
+        {pending.length > 0 && (
+          <Text className="points__pending">{pending.length} 条记录待同步，联网后自动同步</Text>
+        )}
+        <View
+          className={`points__check-in ${checkedIn ? 'points__check-in--done' : ''}`}
+          onClick={checkedIn ? undefined : handleCheckIn}
+        >
+          <Text className="points__check-in-text">
+            {checkedIn ? '今日已签到' : `签到 +${rules.checkIn}`}
+          </Text>
+        </View>
+      </View>
+
+      <View className="points__section">
+        <Text className="points__section-title">积分规则</Text>
+        {ruleItems.map(item => (
+          <View key={item.label} className="points__rule">
+            <View className="points__rule-info">
+              <Text className="points__rule-label">{item.label}</Text>
+              <Text className="points__rule-note">{item.note}</Text>
+            </View>
+            <Text className="points__rule-value">{item.value}</Text>
+          </View>
+        ))}
+      </View>
+
+      <View className="points__section">
+        <Text className="points__section-title">积分明细</Text>
+        {transactions.length === 0 ? (
+          <Text className="points__empty">还没有积分记录，签到或分享职位即可获得积分</Text>
+        ) : (
+          transactions.map(item => (
+            <View key={item.clientId || item.id} className="points__record">
+              <View className="points__record-info">
+                <Text className="points__record-title">
+                  {POINTS_TYPE_LABELS[item.type] || '积分变动'}
+                  {pendingIds.includes(item.clientId) && (
+                    <Text className="points__record-pending">待同步</Text>
+                  )}
+                </Text>
+                <Text className="points__record-time">{formatTime(item.createTime)}</Text>
+              </View>
+              <Text className={`points__record-amount ${item.amount < 0 ? 'points__record-amount--spend' : ''}`}>
+                {item.amount > 0 ? `+${item.amount}` : item.amount}
+              </Text>
+            </View>
+          ))
+        )}
+      </View>
+    </View>
+  )
+}
+
+export default Points
@@ -1,57 +1,159 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef, useMemo } from 'react'
 import { View, Text, Input, Textarea, Picker } from '@tarojs/components'
-import Taro from '@tarojs/taro'
+import Taro, { useDidShow, useDidHide } from '@tarojs/taro'
 import useJobStore from '../../stores/jobStore'
+import RegionPicker from '../../components/RegionPicker'
+import DraftBox from '../../components/DraftBox'
+import TemplatePicker from '../../components/TemplatePicker'
+import ImageUploader from '../../components/ImageUploader'
+import JobPreview from '../../components/JobPreview'
+import { formatRegion } from '../../utils/regions'
+import { SALARY_PERIODS } from '../../utils/salary'
+import { EXPERIENCE_OPTIONS, EDUCATION_OPTIONS, EMPLOYMENT_TYPES } from '../../utils/jobOptions'
+import { initialFormData, formDataToJob, jobToFormData } from '../../utils/jobForm'
+import { JOB_STATUS, getJobStatus } from '../../utils/jobStatus'
+import {
+  AUTOSAVE_DELAY,
+  createDraftId,
+  getDraftName,
+  isFormChanged,
+  findLatestDraft
+} from '../../utils/formDrafts'
+import { getDefaultTemplateName, templateToFormData } from '../../utils/publishTemplates'
+import { screenField, screenJob } from '../../utils/contentFilter'
+import { findDuplicateJob, getRemainingPublishes } from '../../utils/publishRules'
+import { ERROR_CODES } from '../../utils/request'
 import './index.less'
 
 const Publish = () => {
-  const { publishJob, locations } = useJobStore()
+  const {
+    publishJob,
+    saveJobDraft,
+    submitJob,
+    myJobs,
+    publishQuota,
+    editingJob,
+    startEditJob,
+    updateJob,
+    cancelEditJob,
+    formDrafts,
+    saveFormDraft,
+    removeFormDraft,
+    publishTemplates,
+    savePublishTemplate,
+    removePublishTemplate
+  } = useJobStore()
   
-  const [formData, setFormData] = useState({
-    title: '',
-    company: '',
-    location: '',
-    district: '',
-    salary: '',
-    experience: '',
-    education: '',
-    description: '',
-    requirements: '',
-    benefits: '',
-    contact: '',
-    contactName: '',
-    tags: []
-  })
+  const [formData, setFormData] = useState(initialFormData)
   
   const [errors, setErrors] = useState({})
   const [submitting, setSubmitting] = useState(false)
   const [tagInput, setTagInput] = useState('')
+  const [draftBoxVisible, setDraftBoxVisible] = useState(false)
+  const [templatePickerVisible, setTemplatePickerVisible] = useState(false)
+  // 提交前预览的职位数据，为空时不显示预览
+  const [previewJob, setPreviewJob] = useState(null)
+  // 未完成的图片上传数
+  const [imageUploads, setImageUploads] = useState({ uploading: 0, failed: 0 })
+  // 页面每次显示的时间，用于回到发布页时询问是否继续编辑草稿
+  const [shownAt, setShownAt] = useState(0)
+
+  // 当前表单对应的本地草稿ID，首次自动保存时生成
+  const draftIdRef = useRef(null)
+  // 切换新发布/编辑场景后要恢复的草稿
+  const pendingDraftRef = useRef(null)
+  // 已询问过继续编辑的场景，避免重复弹窗
+  const promptedRef = useRef('')
+
+  const editingDraft = editingJob && getJobStatus(editingJob) === JOB_STATUS.DRAFT
+  const editingJobId = editingJob ? editingJob.id : null
+  // 表单初始内容：新发布为空表单，编辑为原职位
+  const baseForm = useMemo(() => editingJob ? jobToFormData(editingJob) : initialFormData, [editingJob])
+  const currentDraft = formDrafts.find(draft => draft.id === draftIdRef.current)
+  // 新发布和提交草稿占用每日发布次数，编辑已提交的职位不占用
+  const countsAsPublish = !editingJob || editingDraft
+  const remainingPublishes = getRemainingPublishes(publishQuota)
+
+  const applyDraft = (draft) => {
+    draftIdRef.current = draft.id
+    setFormData(draft.formData)
+    setErrors({})
+    setTagInput('')
+  }
+
+  // 从“我的发布”进入编辑模式时回填表单，退出编辑模式时清空
+  useEffect(() => {
+    const pending = pendingDraftRef.current
+    pendingDraftRef.current = null
+    if (pending) {
+      applyDraft(pending)
+      return
+    }
+    draftIdRef.current = null
+    setFormData(baseForm)
+    setErrors({})
+    setTagInput('')
+  }, [editingJob])
+
+  // 把当前表单保存为本地草稿，表单未改动时不保存
+  const saveDraft = () => {
+    if (!isFormChanged(formData, baseForm)) return
+    if (!draftIdRef.current) {
+      draftIdRef.current = createDraftId()
+    }
+    const existing = formDrafts.find(draft => draft.id === draftIdRef.current)
+    saveFormDraft({
+      id: draftIdRef.current,
+      name: existing ? existing.name : '',
+      formData,
+      jobId: editingJobId,
+      updatedAt: Date.now()
+    })
+  }
+
+  // 提交或重置后删除当前草稿
+  const clearDraft = () => {
+    if (draftIdRef.current) {
+      removeFormDraft(draftIdRef.current)
+      draftIdRef.current = null
+    }
+  }
 
-  // 城市和区县选择器数据
-  const cityList = Object.keys(locations)
-  const districtList = formData.location ? locations[formData.location] || [] : []
-
-  // 经验选项
-  const experienceOptions = [
-    '不限',
-    '应届毕业生',
-    '1年以下',
-    '1-3年',
-    '3-5年',
-    '5-10年',
-    '10年以上'
-  ]
-
-  // 学历选项
-  const educationOptions = [
-    '不限',
-    '中专/中技',
-    '高中',
-    '大专',
-    '本科',
-    '硕士',
-    '博士'
-  ]
+  // 停止输入一段时间后自动保存，离开页面时立即保存
+  useEffect(() => {
+    const timer = setTimeout(saveDraft, AUTOSAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [formData])
+
+  useDidHide(() => {
+    saveDraft()
+  })
+
+  useDidShow(() => {
+    setShownAt(Date.now())
+  })
+
+  // 回到发布页时，表单未改动且当前场景有草稿，询问是否继续编辑
+  useEffect(() => {
+    const promptKey = `${shownAt}-${editingJobId}`
+    if (!shownAt || promptedRef.current === promptKey) return
+    if (draftIdRef.current || isFormChanged(formData, baseForm)) return
+    const draft = findLatestDraft(formDrafts, editingJobId)
+    if (!draft) return
+
+    promptedRef.current = promptKey
+    Taro.showModal({
+      title: '继续编辑草稿？',
+      content: `「${getDraftName(draft)}」还未提交，是否继续编辑`,
+      confirmText: '继续编辑',
+      cancelText: '不用了',
+      success: (res) => {
+        if (res.confirm) {
+          applyDraft(draft)
+        }
+      }
+    })
+  }, [shownAt, editingJobId, formDrafts.length > 0])
 
   // 处理输入变化
   const handleInputChange = (field, value) => {
@@ -60,37 +162,57 @@ const Publish = () => {
       [field]: value
     }))
     
-    // 清除该字段的错误
-    if (errors[field]) {
+    // 输入时实时检查违规内容，否则清除该字段的错误（薪资的几个输入共用一个错误提示）
+    const errorKey = field.startsWith('salary') ? 'salary' : field
+    const contentError = screenField(field, value)
+    if (contentError || errors[errorKey]) {
       setErrors(prev => ({
         ...prev,
-        [field]: ''
+        [errorKey]: contentError
       }))
     }
   }
 
-  // 处理城市选择
-  const handleCityChange = (e) => {
-    const selectedCity = cityList[e.detail.value]
-    handleInputChange('location', selectedCity)
-    handleInputChange('district', '') // 重置区县
+  // 处理地区选择
+  const handleRegionChange = (regionCode) => {
+    handleInputChange('regionCode', regionCode)
+  }
+
+  // 选择工作地点（用于距离排序）
+  const handleChooseLocation = () => {
+    Taro.chooseLocation({
+      success: (res) => {
+        setFormData(prev => ({
+          ...prev,
+          address: res.address || res.name,
+          latitude: res.latitude,
+          longitude: res.longitude
+        }))
+      }
+    })
   }
 
-  // 处理区县选择
-  const handleDistrictChange = (e) => {
-    const selectedDistrict = districtList[e.detail.value]
-    handleInputChange('district', selectedDistrict)
+  // 处理计薪方式选择
+  const handleSalaryPeriodChange = (e) => {
+    const selectedPeriod = SALARY_PERIODS[e.detail.value].value
+    handleInputChange('salaryPeriod', selectedPeriod)
+  }
+
+  // 处理用工类型选择
+  const handleEmploymentTypeChange = (e) => {
+    const selectedType = EMPLOYMENT_TYPES[e.detail.value]
+    handleInputChange('employmentType', selectedType)
   }
 
   // 处理经验选择
   const handleExperienceChange = (e) => {
-    const selectedExperience = experienceOptions[e.detail.value]
+    const selectedExperience = EXPERIENCE_OPTIONS[e.detail.value]
     handleInputChange('experience', selectedExperience)
   }
 
   // 处理学历选择
   const handleEducationChange = (e) => {
-    const selectedEducation = educationOptions[e.detail.value]
+    const selectedEducation = EDUCATION_OPTIONS[e.detail.value]
     handleInputChange('education', selectedEducation)
   }
 
@@ -114,6 +236,12 @@ const Publish = () => {
       return
     }
 
+    const tagError = screenField('tags', tagInput.trim())
+    if (tagError) {
+      setErrors(prev => ({ ...prev, tags: tagError }))
+      return
+    }
+
     handleInputChange('tags', [...formData.tags, tagInput.trim()])
     setTagInput('')
   }
@@ -136,12 +264,18 @@ const Publish = () => {
       newErrors.company = '请输入公司名称'
     }
 
-    if (!formData.location) {
-      newErrors.location = '请选择工作地区'
+    if (!formData.regionCode) {
+      newErrors.regionCode = '请选择工作地区'
     }
 
-    if (!formData.salary.trim()) {
-      newErrors.salary = '请输入薪资范围'
+    if (formData.salaryPeriod !== 'negotiable') {
+      const salaryMin = Number(formData.salaryMin)
+      const salaryMax = Number(formData.salaryMax)
+      if (!formData.salaryMin || !salaryMin) {
+        newErrors.salary = '请输入薪资范围'
+      } else if (formData.salaryMax && salaryMax < salaryMin) {
+        newErrors.salary = '最高薪资不能低于最低薪资'
+      }
     }
 
     if (!formData.contact.trim()) {
@@ -160,58 +294,225 @@ const Publish = () => {
       newErrors.description = '职位描述至少20个字符'
     }
 
+    // 违规内容，必填错误优先显示
+    const contentErrors = screenJob(formData)
+    Object.keys(contentErrors).forEach(key => {
+      if (!newErrors[key]) {
+        newErrors[key] = contentErrors[key]
+      }
+    })
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
 
-  // 提交表单
-  const handleSubmit = async () => {
+  // 服务端内容审核不通过时，把各字段的问题显示到表单上
+  const showServerErrors = (error) => {
+    if (error.code === ERROR_CODES.CONTENT_VIOLATION && error.data) {
+      setErrors(prev => ({ ...prev, ...error.data }))
+    }
+  }
+
+  // 与最近发布的职位相似时让用户确认，完全重复的由 store 和服务端拦截
+  const confirmSimilarJob = (jobData) => {
+    const duplicate = findDuplicateJob({ ...jobData, id: editingJobId }, myJobs)
+    if (!duplicate || duplicate.level !== 'similar') return Promise.resolve(true)
+    return new Promise(resolve => {
+      Taro.showModal({
+        title: '内容相似',
+        content: `与最近发布的「${duplicate.job.title}」内容相似，确定继续发布吗？`,
+        confirmText: '继续发布',
+        success: res => resolve(res.confirm),
+        fail: () => resolve(false)
+      })
+    })
+  }
+
+  // 重复发布时引导到“我的发布”处理原职位
+  const showDuplicateJob = (error) => {
+    Taro.showModal({
+      title: '重复发布',
+      content: `${error.message}，可在“我的发布”中编辑或重新发布原职位`,
+      confirmText: '去看看',
+      success: (res) => {
+        if (res.confirm) {
+          Taro.navigateTo({
+            url: '/pages/my-jobs/index'
+          })
+        }
+      }
+    })
+  }
+
+  // 图片全部上传成功才能提交，返回是否可以继续
+  const checkImageUploads = () => {
+    if (imageUploads.uploading > 0) {
+      Taro.showToast({
+        title: '图片上传中，请稍候',
+        icon: 'none'
+      })
+      return false
+    }
+    if (imageUploads.failed > 0) {
+      Taro.showToast({
+        title: '有图片上传失败，请重试或删除',
+        icon: 'none'
+      })
+      return false
+    }
+    return true
+  }
+
+  // 校验通过后先预览，确认后再提交
+  const handleSubmit = () => {
+    if (!checkImageUploads()) return
+
     if (!validateForm()) {
       Taro.showToast({
-        title: '请完善必填信息',
+        title: '请按提示修改表单内容',
         icon: 'none'
       })
       return
     }
 
+    if (countsAsPublish && remainingPublishes === 0) {
+      Taro.showToast({
+        title: '今日发布次数已用完，请明天再来',
+        icon: 'none'
+      })
+      return
+    }
+
+    // 按审核通过后的样子展示：发布时间为当前时间
+    const now = new Date()
+    setPreviewJob({
+      ...formDataToJob(formData),
+      id: editingJobId || 'preview',
+      publishTime: now.toISOString(),
+      publishDate: now.toDateString()
+    })
+  }
+
+  // 提交表单
+  const handleConfirmSubmit = async () => {
+    const jobData = formDataToJob(formData)
+    if (!(await confirmSimilarJob(jobData))) return
+
     setSubmitting(true)
     
     try {
-      // 构建完整地址
-      const fullLocation = formData.district 
-        ? `${formData.location} ${formData.district}`
-        : formData.location
-
-      const jobData = {
-        ...formData,
-        location: fullLocation
+      if (editingJob) {
+        // 草稿先保存再提交审核；已发布或未通过的职位修改后由服务端转入审核
+        const saved = await updateJob(editingJob.id, jobData, { submit: editingDraft })
+        const job = editingDraft ? await submitJob(saved.id, saved) : saved
+        setPreviewJob(null)
+        clearDraft()
+        cancelEditJob()
+        Taro.showToast({
+          title: getJobStatus(job) === JOB_STATUS.REVIEWING ? '已提交审核' : '保存成功',
+          icon: 'success'
+        })
+        setTimeout(() => {
+          Taro.navigateTo({
+            url: '/pages/my-jobs/index'
+          })
+        }, 1500)
+        return
       }
 
-      const jobId = publishJob(jobData)
+      await publishJob(jobData)
+      setPreviewJob(null)
+      clearDraft()
+      setFormData(initialFormData)
+      setTagInput('')
       
       Taro.showToast({
-        title: '发布成功',
+        title: '已提交审核',
         icon: 'success'
       })
       
-      // 延迟跳转
+      // 延迟跳转，审核结果在“我的发布”查看
       setTimeout(() => {
-        Taro.switchTab({
-          url: '/pages/home/index'
+        Taro.navigateTo({
+          url: '/pages/my-jobs/index'
         })
       }, 1500)
       
     } catch (error) {
       console.error('发布失败:', error)
+      // 回到表单显示错误
+      setPreviewJob(null)
+      showServerErrors(error)
+      if (error.code === ERROR_CODES.DUPLICATE_JOB) {
+        showDuplicateJob(error)
+        return
+      }
       Taro.showToast({
-        title: '发布失败，请重试',
-        icon: 'error'
+        title: error.message || (editingJob ? '保存失败，请重试' : '发布失败，请重试'),
+        icon: 'none'
       })
     } finally {
       setSubmitting(false)
     }
   }
 
+  // 存草稿：只要求填写职位名称，不进入审核
+  const handleSaveDraft = async () => {
+    if (!checkImageUploads()) return
+
+    if (!formData.title.trim()) {
+      setErrors(prev => ({ ...prev, title: '请输入职位名称' }))
+      Taro.showToast({
+        title: '请至少填写职位名称',
+        icon: 'none'
+      })
+      return
+    }
+
+    setSubmitting(true)
+
+    try {
+      const jobData = formDataToJob(formData)
+      if (editingJob) {
+        await updateJob(editingJob.id, jobData)
+        clearDraft()
+        cancelEditJob()
+      } else {
+        await saveJobDraft(jobData)
+        clearDraft()
+        setFormData(initialFormData)
+        setTagInput('')
+      }
+      Taro.showToast({
+        title: '草稿已保存',
+        icon: 'success'
+      })
+    } catch (error) {
+      console.error('保存草稿失败:', error)
+      showServerErrors(error)
+      Taro.showToast({
+        title: error.message || '保存草稿失败，请重试',
+        icon: 'none'
+      })
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  // 放弃编辑，回到发布新职位
+  const handleCancelEdit = () => {
+    Taro.showModal({
+      title: '放弃编辑',
+      content: '未保存的修改将丢失',
+      success: (res) => {
+        if (res.confirm) {
+          clearDraft()
+          cancelEditJob()
+        }
+      }
+    })
+  }
+
   // 重置表单
   const handleReset = () => {
     Taro.showModal({
@@ -219,21 +520,8 @@ const Publish = () => {
       content: '将清空所有已填写的内容',
       success: (res) => {
         if (res.confirm) {
-          setFormData({
-            title: '',
-            company: '',
-            location: '',
-            district: '',
-            salary: '',
-            experience: '',
-            education: '',
-            description: '',
-            requirements: '',
-            benefits: '',
-            contact: '',
-            contactName: '',
-            tags: []
-          })
+          clearDraft()
+          setFormData(baseForm)
           setErrors({})
           setTagInput('')
         }
@@ -241,11 +529,157 @@ const Publish = () => {
     })
   }
 
+  // 打开本地草稿，草稿属于其他编辑场景时先切换场景
+  const handleOpenDraft = (draft) => {
+    setDraftBoxVisible(false)
+    if (draft.id === draftIdRef.current) return
+    saveDraft()
+
+    const jobId = draft.jobId || null
+    if (jobId === editingJobId) {
+      applyDraft(draft)
+      return
+    }
+    if (!jobId) {
+      pendingDraftRef.current = draft
+      cancelEditJob()
+      return
+    }
+    const job = myJobs.find(item => item.id === jobId)
+    if (!job) {
+      Taro.showToast({
+        title: '原职位已不存在',
+        icon: 'none'
+      })
+      return
+    }
+    pendingDraftRef.current = draft
+    startEditJob(job)
+  }
+
+  // 用模板或已有职位填充表单，当前填写的内容先保存为本地草稿
+  const fillForm = (nextForm, message) => {
+    setTemplatePickerVisible(false)
+    saveDraft()
+    draftIdRef.current = null
+    setFormData(nextForm)
+    setErrors({})
+    setTagInput('')
+    Taro.showToast({
+      title: message,
+      icon: 'none'
+    })
+  }
+
+  const handleSelectTemplate = (template) => {
+    fillForm(templateToFormData(template), `已使用模板「${template.name}」`)
+  }
+
+  const handleCloneJob = (job) => {
+    fillForm(jobToFormData(job), '已复制职位内容，请修改后发布')
+  }
+
+  const handleSaveTemplate = () => {
+    if (!isFormChanged(formData)) {
+      Taro.showToast({
+        title: '请先填写职位信息',
+        icon: 'none'
+      })
+      return
+    }
+
+    Taro.showModal({
+      title: '存为模板',
+      editable: true,
+      placeholderText: '请输入模板名称',
+      content: getDefaultTemplateName(formData),
+      success: (res) => {
+        if (!res.confirm) return
+        const name = (res.content || '').trim()
+        if (!name) {
+          Taro.showToast({
+            title: '请输入模板名称',
+            icon: 'none'
+          })
+          return
+        }
+        savePublishTemplate(name, formData)
+        Taro.showToast({
+          title: '模板已保存',
+          icon: 'success'
+        })
+      }
+    })
+  }
+
+  const handleRemoveTemplate = (template) => {
+    Taro.showModal({
+      title: '删除模板',
+      content: `确定删除「${template.name}」吗？`,
+      success: (res) => {
+        if (res.confirm) {
+          removePublishTemplate(template.id)
+        }
+      }
+    })
+  }
+
+  const handleRenameDraft = (draft) => {
+    Taro.showModal({
+      title: '重命名草稿',
+      editable: true,
+      placeholderText: '请输入草稿名称',
+      content: getDraftName(draft),
+      success: (res) => {
+        if (res.confirm && res.content && res.content.trim()) {
+          saveFormDraft({ ...draft, name: res.content.trim() })
+        }
+      }
+    })
+  }
+
+  const handleRemoveDraft = (draft) => {
+    Taro.showModal({
+      title: '删除草稿',
+      content: `确定删除「${getDraftName(draft)}」吗？`,
+      success: (res) => {
+        if (res.confirm) {
+          removeFormDraft(draft.id)
+          if (draft.id === draftIdRef.current) {
+            draftIdRef.current = null
+          }
+        }
+      }
+    })
+  }
+
   return (
     <View className="publish">
       <View className="publish__header">
-        <Text className="publish__title">发布职位</Text>
-        <Text className="publish__subtitle">让更多优秀人才发现您的岗位</Text>
+        <Text className="publish__title">{editingJob ? '编辑职位' : '发布职位'}</Text>
+        <Text className="publish__subtitle">
+          {editingJob ? `正在编辑：${editingJob.title}` : '让更多优秀人才发现您的岗位'}
+        </Text>
+        {currentDraft && (
+          <Text className="publish__draft-tip">已自动保存到本地草稿</Text>
+        )}
+        {countsAsPublish && (
+          <Text className="publish__quota">
+            {remainingPublishes > 0 ? `今日还可发布 ${remainingPublishes} 条` : '今日发布次数已用完，明天再来吧'}
+          </Text>
+        )}
+        <View className="publish__header-actions">
+          {editingJob && (
+            <Text className="publish__header-btn" onClick={handleCancelEdit}>放弃编辑</Text>
+          )}
+          {!editingJob && (
+            <Text className="publish__header-btn" onClick={() => setTemplatePickerVisible(true)}>模板/复制</Text>
+          )}
+          <Text className="publish__header-btn" onClick={handleSaveTemplate}>存为模板</Text>
+          <Text className="publish__header-btn" onClick={() => setDraftBoxVisible(true)}>
+            本地草稿{formDrafts.length > 0 ? ` (${formDrafts.length})` : ''}
+          </Text>
+        </View>
       </View>
 
       <View className="publish__form">
@@ -277,48 +711,67 @@ const Publish = () => {
 
           <View className="publish__field">
             <Text className="publish__label">工作地区 *</Text>
-            <View className="publish__picker-group">
+            <RegionPicker
+              value={formData.regionCode}
+              onChange={handleRegionChange}
+            >
+              <View className={`publish__picker ${errors.regionCode ? 'publish__picker--error' : ''}`}>
+                <Text className={formData.regionCode ? 'publish__picker-text' : 'publish__picker-placeholder'}>
+                  {formData.regionCode ? formatRegion(formData.regionCode) : '选择省/市/区县'}
+                </Text>
+                <Text className="publish__picker-arrow">▼</Text>
+              </View>
+            </RegionPicker>
+            {errors.regionCode && <Text className="publish__error">{errors.regionCode}</Text>}
+          </View>
+
+          <View className="publish__field">
+            <Text className="publish__label">工作地点</Text>
+            <View className="publish__picker" onClick={handleChooseLocation}>
+              <Text className={formData.address ? 'publish__picker-text' : 'publish__picker-placeholder'}>
+                {formData.address || '选填，在地图上选择具体工地位置'}
+              </Text>
+              <Text className="publish__picker-arrow">›</Text>
+            </View>
+            {errors.address && <Text className="publish__error">{errors.address}</Text>}
+          </View>
+
+          <View className="publish__field">
+            <Text className="publish__label">薪资范围 *</Text>
+            <View className="publish__salary">
               <Picker
                 mode="selector"
-                range={cityList}
-                value={cityList.indexOf(formData.location)}
-                onChange={handleCityChange}
+                range={SALARY_PERIODS.map(period => period.label)}
+                value={SALARY_PERIODS.findIndex(period => period.value === formData.salaryPeriod)}
+                onChange={handleSalaryPeriodChange}
               >
-                <View className={`publish__picker ${errors.location ? 'publish__picker--error' : ''}`}>
-                  <Text className={formData.location ? 'publish__picker-text' : 'publish__picker-placeholder'}>
-                    {formData.location || '选择城市'}
+                <View className="publish__picker publish__salary-period">
+                  <Text className="publish__picker-text">
+                    {SALARY_PERIODS.find(period => period.value === formData.salaryPeriod).label}
                   </Text>
                   <Text className="publish__picker-arrow">▼</Text>
                 </View>
               </Picker>
-              
-              {formData.location && districtList.length > 0 && (
-                <Picker
-                  mode="selector"
-                  range={districtList}
-                  value={districtList.indexOf(formData.district)}
-                  onChange={handleDistrictChange}
-                >
-                  <View className="publish__picker">
-                    <Text className={formData.district ? 'publish__picker-text' : 'publish__picker-placeholder'}>
-                      {formData.district || '选择区县'}
-                    </Text>
-                    <Text className="publish__picker-arrow">▼</Text>
-                  </View>
-                </Picker>
+              {formData.salaryPeriod !== 'negotiable' && (
+                <View className="publish__salary-range">
+                  <Input
+                    className={`publish__input publish__salary-input ${errors.salary ? 'publish__input--error' : ''}`}
+                    placeholder="最低(元)"
+                    type="digit"
+                    value={formData.salaryMin}
+                    onInput={(e) => handleInputChange('salaryMin', e.detail.value)}
+                  />
+                  <Text className="publish__salary-separator">-</Text>
+                  <Input
+                    className={`publish__input publish__salary-input ${errors.salary ? 'publish__input--error' : ''}`}
+                    placeholder="最高(元)"
+                    type="digit"
+                    value={formData.salaryMax}
+                    onInput={(e) => handleInputChange('salaryMax', e.detail.value)}
+                  />
+                </View>
               )}
             </View>
-            {errors.location && <Text className="publish__error">{errors.location}</Text>}
-          </View>
-
-          <View className="publish__field">
-            <Text className="publish__label">薪资范围 *</Text>
-            <Input
-              className={`publish__input ${errors.salary ? 'publish__input--error' : ''}`}
-              placeholder="如：10-15K，面议"
-              value={formData.salary}
-              onInput={(e) => handleInputChange('salary', e.detail.value)}
-            />
             {errors.salary && <Text className="publish__error">{errors.salary}</Text>}
           </View>
         </View>
@@ -327,12 +780,29 @@ const Publish = () => {
         <View className="publish__section">
           <Text className="publish__section-title">任职要求</Text>
           
+          <View className="publish__field">
+            <Text className="publish__label">用工类型</Text>
+            <Picker
+              mode="selector"
+              range={EMPLOYMENT_TYPES}
+              value={Math.max(EMPLOYMENT_TYPES.indexOf(formData.employmentType), 0)}
+              onChange={handleEmploymentTypeChange}
+            >
+              <View className="publish__picker">
+                <Text className={formData.employmentType ? 'publish__picker-text' : 'publish__picker-placeholder'}>
+                  {formData.employmentType || '选择用工类型'}
+                </Text>
+                <Text className="publish__picker-arrow">▼</Text>
+              </View>
+            </Picker>
+          </View>
+
           <View className="publish__field">
             <Text className="publish__label">工作经验</Text>
             <Picker
               mode="selector"
-              range={experienceOptions}
-              value={experienceOptions.indexOf(formData.experience)}
+              range={EXPERIENCE_OPTIONS}
+              value={Math.max(EXPERIENCE_OPTIONS.indexOf(formData.experience), 0)}
               onChange={handleExperienceChange}
             >
               <View className="publish__picker">
@@ -348,8 +818,8 @@ const Publish = () => {
             <Text className="publish__label">学历要求</Text>
             <Picker
               mode="selector"
-              range={educationOptions}
-              value={educationOptions.indexOf(formData.education)}
+              range={EDUCATION_OPTIONS}
+              value={Math.max(EDUCATION_OPTIONS.indexOf(formData.education), 0)}
               onChange={handleEducationChange}
             >
               <View className="publish__picker">
@@ -390,6 +860,7 @@ const Publish = () => {
                 ))}
               </View>
             )}
+            {errors.tags && <Text className="publish__error">{errors.tags}</Text>}
           </View>
         </View>
 
@@ -413,10 +884,19 @@ const Publish = () => {
             {errors.description && <Text className="publish__error">{errors.description}</Text>}
           </View>
 
+          <View className="publish__field">
+            <Text className="publish__label">职位图片（选填，工地环境、住宿条件等）</Text>
+            <ImageUploader
+              value={formData.images}
+              onChange={(images) => handleInputChange('images', images)}
+              onPendingChange={setImageUploads}
+            />
+          </View>
+
           <View className="publish__field">
             <Text className="publish__label">任职要求</Text>
             <Textarea
-              className="publish__textarea"
+              className={`publish__textarea ${errors.requirements ? 'publish__textarea--error' : ''}`}
               placeholder="详细描述任职要求..."
               value={formData.requirements}
               onInput={(e) => handleInputChange('requirements', e.detail.value)}
@@ -426,12 +906,13 @@ const Publish = () => {
             <View className="publish__textarea-counter">
               <Text className="publish__counter-text">{formData.requirements.length}/300</Text>
             </View>
+            {errors.requirements && <Text className="publish__error">{errors.requirements}</Text>}
           </View>
 
           <View className="publish__field">
             <Text className="publish__label">福利待遇</Text>
             <Textarea
-              className="publish__textarea"
+              className={`publish__textarea ${errors.benefits ? 'publish__textarea--error' : ''}`}
               placeholder="描述公司福利、发展前景等..."
               value={formData.benefits}
               onInput={(e) => handleInputChange('benefits', e.detail.value)}
@@ -441,6 +922,7 @@ const Publish = () => {
             <View className="publish__textarea-counter">
               <Text className="publish__counter-text">{formData.benefits.length}/200</Text>
             </View>
+            {errors.benefits && <Text className="publish__error">{errors.benefits}</Text>}
           </View>
         </View>
 
@@ -478,15 +960,53 @@ const Publish = () => {
         <View className="publish__btn publish__btn--secondary" onClick={handleReset}>
           <Text className="publish__btn-text">重置</Text>
         </View>
+        {(!editingJob || editingDraft) && (
+          <View className="publish__btn publish__btn--secondary" onClick={submitting ? undefined : handleSaveDraft}>
+            <Text className="publish__btn-text">存草稿</Text>
+          </View>
+        )}
         <View 
           className={`publish__btn publish__btn--primary ${submitting ? 'publish__btn--disabled' : ''}`}
           onClick={handleSubmit}
         >
           <Text className="publish__btn-text">
-            {submitting ? '发布中...' : '立即发布'}
+            {editingDraft
+              ? (submitting ? '提交中...' : '提交审核')
+              : editingJob
+                ? (submitting ? '保存中...' : '保存修改')
+                : (submitting ? '发布中...' : '立即发布')}
           </Text>
         </View>
       </View>
+
+      <JobPreview
+        visible={Boolean(previewJob)}
+        job={previewJob}
+        confirmText={editingDraft ? '确认提交' : editingJob ? '确认保存' : '确认发布'}
+        submitting={submitting}
+        onBack={() => setPreviewJob(null)}
+        onConfirm={handleConfirmSubmit}
+      />
+
+      <DraftBox
+        visible={draftBoxVisible}
+        drafts={formDrafts}
+        currentId={draftIdRef.current}
+        onOpen={handleOpenDraft}
+        onRename={handleRenameDraft}
+        onRemove={handleRemoveDraft}
+        onClose={() => setDraftBoxVisible(false)}
+      />
+
+      <TemplatePicker
+        visible={templatePickerVisible}
+        templates={publishTemplates}
+        jobs={myJobs}
+        onSelectTemplate={handleSelectTemplate}
+        onSelectJob={handleCloneJob}
+        onRemoveTemplate={handleRemoveTemplate}
+        onClose={() => setTemplatePickerVisible(false)}
+      />
     </View>
   )
 }
@@ -0,0 +1,90 @@
+import React from 'react'
+import { View, Text } from '@tarojs/components'
+import Taro, { useDidShow } from '@tarojs/taro'
+import useJobStore from '../../stores/jobStore'
+import { describeFilters } from '../../utils/subscriptions'
+import './index.less'
+
+const Subscriptions = () => {
+  const {
+    subscriptions,
+    openSubscription,
+    removeSubscription,
+    refreshSubscriptionCounts
+  } = useJobStore()
+
+  // 每次进入页面刷新新职位数
+  useDidShow(() => {
+    refreshSubscriptionCounts()
+  })
+
+  // 按订阅条件查看职位
+  const handleOpen = (id) => {
+    openSubscription(id)
+    Taro.switchTab({ url: '/pages/home/index' })
+  }
+
+  const handleRemove = (subscription) => {
+    Taro.showModal({
+      title: '删除订阅',
+      content: `确定删除「${subscription.name}」吗？`,
+      success: (res) => {
+        if (res.confirm) {
+          removeSubscription(subscription.id)
+        }
+      }
+    })
+  }
+
+  if (subscriptions.length === 0) {
+    return (
+      <View className="subscriptions">
+        <View className="subscriptions__empty">
+          <View className="subscriptions__empty-icon">🔔</View>
+          <Text className="subscriptions__empty-title">还没有订阅</Text>
+          <Text className="subscriptions__empty-desc">
+            在首页设置筛选条件后点击“订阅”，有新职位时会在这里提醒你
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
+  return (
+    <View className="subscriptions">
+      {subscriptions.map((subscription) => (
+        <View
+          key={subscription.id}
+          className="subscriptions__item"
+          onClick={() => handleOpen(subscription.id)}
+        >
+          <View className="subscriptions__info">
+            <View className="subscriptions__name-row">
+              <Text className="subscriptions__name">{subscription.name}</Text>
+              {subscription.notify && (
+                <Text className="subscriptions__notify">消息提醒</Text>
+              )}
+            </View>
+            <Text className="subscriptions__desc">{describeFilters(subscription.filters)}</Text>
+          </View>
+          {subscription.newCount > 0 && (
+            <Text className="subscriptions__badge">
+              {subscription.newCount > 99 ? '99+' : subscription.newCount} 个新职位
+            </Text>
+          )}
+          <Text
+            className="subscriptions__remove"
+            onClick={(e) => {
+              e.stopPropagation()
+              handleRemove(subscription)
+            }}
+          >
+            删除
+          </Text>
+        </View>
+      ))}
+    </View>
+  )
+}
+
+export default Subscriptions
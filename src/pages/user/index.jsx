@@ -1,18 +1,77 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { View, Text, Image } from '@tarojs/components'
-import Taro from '@tarojs/taro'
+import Taro, { useDidShow } from '@tarojs/taro'
 import useJobStore from '../../stores/jobStore'
+import SwipeCell from '../../components/SwipeCell'
+import MembershipCard from '../../components/MembershipCard'
+import { formatJobSalary } from '../../utils/salary'
+import { getTotalNewCount } from '../../utils/subscriptions'
+import { JOB_STATUS_LABELS, getJobStatus, isJobPublished } from '../../utils/jobStatus'
 import './index.less'
 
 const User = () => {
-  const { userInfo, getUserJobs } = useJobStore()
-  const myJobs = getUserJobs()
+  const {
+    userInfo,
+    favorites,
+    viewHistory,
+    subscriptions,
+    myJobs,
+    isJobUnlocked,
+    invitedCount,
+    points,
+    getPointsAccount,
+    syncUnlockStatus,
+    syncPoints,
+    syncMembership,
+    removeView,
+    clearViewHistory
+  } = useJobStore()
+  const [showAllHistory, setShowAllHistory] = useState(false)
+  const visibleHistory = showAllHistory ? viewHistory : viewHistory.slice(0, 5)
+  const subscriptionNewCount = getTotalNewCount(subscriptions)
+
+  // 邀请人数、积分和会员以服务端为准，每次进入页面时同步
+  useDidShow(() => {
+    Promise.all([syncUnlockStatus(), syncPoints(), syncMembership()]).catch(error => {
+      console.error('同步用户数据失败:', error)
+    })
+  })
 
   // 跳转到我的发布
   const handleMyJobs = () => {
-    Taro.showToast({
-      title: '功能开发中',
-      icon: 'none'
+    Taro.navigateTo({ url: '/pages/my-jobs/index' })
+  }
+
+  // 浏览时间显示
+  const formatViewTime = (timestamp) => {
+    const minutes = Math.floor((Date.now() - timestamp) / (1000 * 60))
+    if (minutes < 1) return '刚刚'
+    if (minutes < 60) return `${minutes}分钟前`
+    const hours = Math.floor(minutes / 60)
+    if (hours < 24) return `${hours}小时前`
+    const date = new Date(timestamp)
+    return `${date.getMonth() + 1}月${date.getDate()}日`
+  }
+
+  // 清空浏览记录
+  const handleClearHistory = () => {
+    Taro.showModal({
+      title: '清空浏览记录',
+      content: '确定清空全部浏览记录吗？',
+      success: (res) => {
+        if (res.confirm) {
+          clearViewHistory()
+        }
+      }
+    })
+  }
+
+  // 邀请说明
+  const handleInvite = () => {
+    Taro.showModal({
+      title: '邀请好友',
+      content: `分享职位给好友，好友打开可获得 ${points.rules.share} 积分；新用户通过你的分享进入，再获得 ${points.rules.invite} 积分`,
+      showCancel: false
     })
   }
 
@@ -100,6 +159,8 @@ const User = () => {
         </View>
       </View>
 
+      <MembershipCard />
+
       {/* 功能菜单 */}
       <View className="user__menu">
         <View className="user__menu-item" onClick={handleMyJobs}>
@@ -108,6 +169,49 @@ const User = () => {
           <Text className="user__menu-arrow">›</Text>
         </View>
 
+        <View
+          className="user__menu-item"
+          onClick={() => Taro.navigateTo({ url: '/pages/favorites/index' })}
+        >
+          <View className="user__menu-icon">⭐</View>
+          <Text className="user__menu-text">我的收藏</Text>
+          {favorites.length > 0 && (
+            <Text className="user__menu-count">{favorites.length}</Text>
+          )}
+          <Text className="user__menu-arrow">›</Text>
+        </View>
+
+        <View
+          className="user__menu-item"
+          onClick={() => Taro.navigateTo({ url: '/pages/subscriptions/index' })}
+        >
+          <View className="user__menu-icon">🔔</View>
+          <Text className="user__menu-text">我的订阅</Text>
+          {subscriptionNewCount > 0 && (
+            <Text className="user__menu-badge">
+              {subscriptionNewCount > 99 ? '99+' : subscriptionNewCount}
+            </Text>
+          )}
+          <Text className="user__menu-arrow">›</Text>
+        </View>
+
+        <View
+          className="user__menu-item"
+          onClick={() => Taro.navigateTo({ url: '/pages/points/index' })}
+        >
+          <View className="user__menu-icon">💰</View>
+          <Text className="user__menu-text">我的积分</Text>
+          <Text className="user__menu-count">{getPointsAccount().balance}</Text>
+          <Text className="user__menu-arrow">›</Text>
+        </View>
+
+        <View className="user__menu-item" onClick={handleInvite}>
+          <View className="user__menu-icon">🎁</View>
+          <Text className="user__menu-text">邀请好友</Text>
+          <Text className="user__menu-count">已邀请 {invitedCount} 人</Text>
+          <Text className="user__menu-arrow">›</Text>
+        </View>
+
         <View className="user__menu-item" onClick={handleContact}>
           <View className="user__menu-icon">💬</View>
           <Text className="user__menu-text">联系客服</Text>
@@ -127,6 +231,46 @@ const User = () => {
         </View>
       </View>
 
+      {/* 最近浏览（左滑删除） */}
+      {viewHistory.length > 0 && (
+        <View className="user__recent">
+          <View className="user__recent-header">
+            <Text className="user__recent-title">最近浏览</Text>
+            <Text className="user__recent-clear" onClick={handleClearHistory}>清空</Text>
+          </View>
+          {visibleHistory.map(({ jobId, job, viewedAt }) => {
+            const locked = !isJobUnlocked(job)
+            return (
+              <SwipeCell
+                key={jobId}
+                onAction={() => removeView(jobId)}
+                onClick={() => Taro.navigateTo({ url: `/pages/detail/index?id=${jobId}` })}
+              >
+                <View className="user__recent-item">
+                  <View className="user__recent-info">
+                    <Text className="user__recent-job-title">
+                      {locked && '🔒 '}{job.title}
+                    </Text>
+                    <Text className="user__recent-company">{job.company}</Text>
+                  </View>
+                  <View className="user__recent-meta">
+                    <Text className="user__recent-salary">{formatJobSalary(job)}</Text>
+                    <Text className="user__recent-time">{formatViewTime(viewedAt)}</Text>
+                  </View>
+                </View>
+              </SwipeCell>
+            )
+          })}
+          {viewHistory.length > 5 && (
+            <View className="user__recent-more" onClick={() => setShowAllHistory(!showAllHistory)}>
+              <Text className="user__recent-more-text">
+                {showAllHistory ? '收起' : `查看全部 ${viewHistory.length} 条`}
+              </Text>
+            </View>
+          )}
+        </View>
+      )}
+
       {/* 最近发布 */}
       {myJobs.length > 0 && (
         <View className="user__recent">
@@ -138,13 +282,18 @@ const User = () => {
               onClick={() => Taro.navigateTo({ url: `/pages/detail/index?id=${job.id}` })}
             >
               <View className="user__recent-info">
-                <Text className="user__recent-job-title">{job.title}</Text>
+                <Text className="user__recent-job-title">
+                  {job.title}
+                  {!isJobPublished(job) && (
+                    <Text className="user__recent-status">{JOB_STATUS_LABELS[getJobStatus(job)]}</Text>
+                  )}
+                </Text>
                 <Text className="user__recent-company">{job.company}</Text>
               </View>
               <View className="user__recent-meta">
-                <Text className="user__recent-salary">{job.salary}</Text>
+                <Text className="user__recent-salary">{formatJobSalary(job)}</Text>
                 <Text className="user__recent-time">
-                  {new Date(job.publishTime).toLocaleDateString()}
+                  {new Date(job.publishTime || job.createTime).toLocaleDateString()}
                 </Text>
               </View>
             </View>
@@ -0,0 +1,7 @@
+import request from '../utils/request'
+
+// 微信登录，用 Taro.login 拿到的 code 换取 token 和用户信息
+// 通过分享进入时带上邀请信息，新用户注册时计入分享人的邀请
+export const loginWithWechat = (code, referral = null) => {
+  return request.post('/auth/wechat/login', { code, referral })
+}
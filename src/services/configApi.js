@@ -0,0 +1,6 @@
+import request from '../utils/request'
+
+// 解锁策略 { freeDays, unlockScope, unlockValidDays, maskContact }，不需要登录
+export const fetchUnlockPolicy = () => {
+  return request.get('/config/unlock-policy')
+}
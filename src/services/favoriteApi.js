@@ -0,0 +1,16 @@
+import request from '../utils/request'
+
+// 获取收藏列表（需登录）
+export const fetchFavorites = () => {
+  return request.get('/favorites')
+}
+
+// 收藏职位（需登录）
+export const addFavorite = (jobId) => {
+  return request.post('/favorites', { jobId })
+}
+
+// 取消收藏（需登录）
+export const removeFavorite = (jobId) => {
+  return request.delete(`/favorites/${jobId}`)
+}
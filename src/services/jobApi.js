@@ -0,0 +1,56 @@
+import request from '../utils/request'
+
+// 获取职位列表
+export const fetchJobs = (params = {}) => {
+  return request.get('/jobs', params)
+}
+
+// 批量查询职位状态，已删除的职位返回下架
+export const fetchJobStatuses = (jobIds) => {
+  return request.get('/jobs/status', { ids: jobIds.join(',') })
+}
+
+// 获取职位详情，countView 为 true 时计一次浏览
+export const fetchJobDetail = (jobId, { countView = false } = {}) => {
+  return request.get(`/jobs/${jobId}`, countView ? { view: 1 } : {})
+}
+
+// 发布职位
+export const createJob = (jobData) => {
+  return request.post('/jobs', jobData)
+}
+
+// 草稿提交审核
+export const submitJob = (jobId) => {
+  return request.post(`/jobs/${jobId}/submit`)
+}
+
+// 我的发布（含草稿、审核中和已下架）
+export const fetchMyJobs = () => {
+  return request.get('/jobs/my')
+}
+
+// 今日发布次数 { limit, used }
+export const fetchPublishQuota = () => {
+  return request.get('/jobs/quota')
+}
+
+// 编辑职位
+export const updateJob = (jobId, jobData) => {
+  return request.put(`/jobs/${jobId}`, jobData)
+}
+
+// 下架职位
+export const takeJobOffline = (jobId) => {
+  return request.post(`/jobs/${jobId}/offline`)
+}
+
+// 重新发布已下架的职位
+export const repostJob = (jobId) => {
+  return request.post(`/jobs/${jobId}/repost`)
+}
+
+// 刷新职位，排到最新列表顶部
+export const refreshJob = (jobId) => {
+  return request.post(`/jobs/${jobId}/refresh`)
+}
@@ -0,0 +1,21 @@
+import request from '../utils/request'
+
+// 当前会员和可购买的套餐 { membership, plans }
+export const fetchMembership = () => {
+  return request.get('/membership')
+}
+
+// 创建会员订单，返回 { orderId, amount, payParams }
+export const createMembershipOrder = (planKey) => {
+  return request.post('/membership/orders', { planKey })
+}
+
+// 测试环境的模拟支付结果通知，模拟支付确认后调用，把订单结算为已支付
+export const notifyFakePayment = (orderId) => {
+  return request.post(`/membership/orders/${orderId}/fake-notify`)
+}
+
+// 查询订单状态 { orderId, status, membership }
+export const fetchMembershipOrder = (orderId) => {
+  return request.get(`/membership/orders/${orderId}`)
+}
@@ -0,0 +1,1116 @@
+import ERROR_CODES from '../utils/errorCodes'
+import { applyFiltersToJobs, parseJobQuery } from '../utils/jobQuery'
+import { toRegionFields } from '../utils/regions'
+import { JOB_STATUS, JOB_VALID_DAYS, getJobStatus, getExpireTime, isJobPublished } from '../utils/jobStatus'
+import { MAX_JOB_IMAGES } from '../utils/image'
+import { screenJob, formatScreenErrors } from '../utils/contentFilter'
+import { DAILY_PUBLISH_LIMIT, findDuplicateJob, getDuplicateMessage } from '../utils/publishRules'
+import { buildPosterScene } from '../utils/poster'
+import { SHARE_TYPES, buildShareQuery, createShareId, toShareDate } from '../utils/share'
+import {
+  MEMBERSHIP_PLANS,
+  ORDER_STATUS,
+  getMembershipPlan,
+  getRenewedExpireTime,
+  isMembershipActive
+} from '../utils/membership'
+import {
+  DEFAULT_POINTS_RULES,
+  POINTS_TYPES,
+  getPointsAmount,
+  isCheckInDateAllowed,
+  validatePointsTransaction
+} from '../utils/points'
+import { DEFAULT_UNLOCK_POLICY, formatContact, getJobAccess } from '../utils/unlockPolicy'
+
+// 本地模拟接口，无后端时保证小程序可以正常运行
+const MOCK_DELAY = 300
+// 提交审核后自动通过的时间，模拟人工审核
+const MOCK_REVIEW_DELAY = 10000
+// 分享后自动确认的时间，模拟好友打开分享
+const MOCK_SHARE_OPEN_DELAY = 5000
+// 每人每天最多登记的分享次数
+const DAILY_SHARE_LIMIT = 50
+// 积分规则，下发给客户端
+const POINTS_RULES = { ...DEFAULT_POINTS_RULES }
+// 解锁策略，下发给客户端，积分解锁时按同一策略校验
+const UNLOCK_POLICY = { ...DEFAULT_UNLOCK_POLICY }
+
+// 模拟登录用户，所有微信登录都对应这个账号
+const DEMO_USER = {
+  id: 'u_1001',
+  nickName: '工程师小王',
+  avatar: 'https://avatars.dicebear.com/api/avataaars/user.svg'
+}
+const TOKEN_PREFIX = 'mock-token-'
+// 模拟小程序码：用二维码图片代替，内容为职位详情页路径
+const MOCK_QR_CODE_URL = 'https://api.qrserver.com/v1/create-qr-code/?size=320x320&data='
+
+// 模拟职位数据
+const mockJobs = [
+  {
+    id: '1',
+    title: '高级前端工程师',
+    company: '阿里巴巴',
+    ...toRegionFields('330106'),
+    salary: '20-35K',
+    experience: '3-5年',
+    employmentType: '全职',
+    education: '本科',
+    tags: ['Vue', 'React', 'TypeScript'],
+    description: '负责前端架构设计，参与核心业务开发...',
+    contact: '13812345678',
+    contactName: '张经理',
+    publishTime: new Date().toISOString(),
+    publishDate: new Date().toDateString(),
+    requirements: '熟练掌握Vue/React框架，有大型项目经验',
+    benefits: '五险一金，带薪年假，股票期权',
+    viewCount: 156,
+    publisherId: DEMO_USER.id
+  },
+  {
+    id: '2',
+    title: '建筑工程师',
+    company: '中建集团',
+    ...toRegionFields('310104'),
+    salary: '15-25K',
+    experience: '5-10年',
+    employmentType: '全职',
+    education: '本科',
+    tags: ['土木工程', 'CAD', '项目管理'],
+    description: '负责建筑工程设计、施工管理...',
+    contact: '13698765432',
+    contactName: '李工',
+    publishTime: new Date(Date.now() - 86400000).toISOString(),
+    publishDate: new Date(Date.now() - 86400000).toDateString(),
+    requirements: '土木工程相关专业，熟悉建筑规范',
+    benefits: '五险一金，项目奖金，技能培训',
+    viewCount: 289,
+    publisherId: DEMO_USER.id
+  },
+  {
+    id: '3',
+    title: '机械设计工程师',
+    company: '三一重工',
+    ...toRegionFields('430104'),
+    salary: '12-20K',
+    experience: '3-5年',
+    employmentType: '全职',
+    education: '本科',
+    tags: ['机械设计', 'SolidWorks', '工艺改进'],
+    description: '负责机械产品设计与优化...',
+    contact: '13566778899',
+    contactName: '王总',
+    publishTime: new Date(Date.now() - 172800000).toISOString(),
+    publishDate: new Date(Date.now() - 172800000).toDateString(),
+    requirements: '机械相关专业，熟练使用设计软件',
+    benefits: '五险一金，年终奖，职业发展',
+    viewCount: 97,
+    publisherId: 'u_2001'
+  }
+]
+
+// 批量生成的模拟职位，用于分页加载
+const templates = [
+  { title: '土建施工员', company: '中铁建工', salary: '8000-12000', tags: ['施工管理', '土建'], experience: '1-3年', education: '大专', employmentType: '全职' },
+  { title: '钢筋工', company: '中建三局', salary: '350-450元/天', tags: ['钢筋绑扎', '日结'], experience: '不限', education: '不限', employmentType: '日结' },
+  { title: '安全员', company: '中国电建', salary: '7000-10000', tags: ['安全员证', '现场管理'], experience: '3-5年', education: '大专', employmentType: '全职' },
+  { title: '造价工程师', company: '上海建工', salary: '15-22K', tags: ['广联达', '预结算'], experience: '3-5年', education: '本科', employmentType: '全职' },
+  { title: '电焊工', company: '中国二十冶', salary: '9000-13000', tags: ['焊工证', '氩弧焊'], experience: '1-3年', education: '不限', employmentType: '临时工' },
+  { title: '测量员', company: '中交一公局', salary: '6000-9000', tags: ['全站仪', 'GPS'], experience: '1-3年', education: '中专/中技', employmentType: '兼职' },
+  { title: '项目经理', company: '北京城建', salary: '25-40K', tags: ['一级建造师', '项目管理'], experience: '10年以上', education: '本科', employmentType: '全职' },
+  { title: '木工', company: '碧桂园建设', salary: '400元/天', tags: ['模板', '包吃住'], experience: '不限', education: '不限', employmentType: '日结' }
+]
+const countyCodes = ['110105', '310115', '440106', '440305', '330106', '510107', '500103', '420106', '610113', '430104']
+const contactNames = ['刘经理', '陈工', '赵主管', '孙队长', '周经理']
+
+// 各区县大致坐标，用于距离排序
+const countyCoordinates = {
+  '110105': [39.9215, 116.4435],
+  '310104': [31.1885, 121.4365],
+  '310115': [31.2215, 121.5447],
+  '330106': [30.2598, 120.1301],
+  '420106': [30.5534, 114.3162],
+  '430104': [28.2351, 112.9314],
+  '440106': [23.1246, 113.3612],
+  '440305': [22.5329, 113.9305],
+  '500103': [29.5566, 106.5689],
+  '510107': [30.6424, 104.0431],
+  '610113': [34.2134, 108.9480]
+}
+
+// 在区县坐标附近随机偏移，模拟具体工地位置
+const withCoordinates = (job, index) => {
+  const [latitude, longitude] = countyCoordinates[job.countyCode] || []
+  if (latitude === undefined) return job
+  const offset = ((index * 37) % 20 - 10) / 500
+  return {
+    ...job,
+    latitude: Number((latitude + offset).toFixed(6)),
+    longitude: Number((longitude - offset).toFixed(6))
+  }
+}
+
+const generateJobs = (count) => {
+  return Array.from({ length: count }, (_, index) => {
+    const template = templates[index % templates.length]
+    const publishAt = new Date(Date.now() - Math.floor(index / 8) * 86400000 - index * 600000)
+    return {
+      ...template,
+      id: String(index + 100),
+      ...toRegionFields(countyCodes[index % countyCodes.length]),
+      description: `${template.company}招聘${template.title}，负责现场相关工作，工资按时发放，长期稳定。`,
+      contact: `139${String(10000000 + index * 7919).slice(-8)}`,
+      contactName: contactNames[index % contactNames.length],
+      publishTime: publishAt.toISOString(),
+      publishDate: publishAt.toDateString(),
+      requirements: '吃苦耐劳，服从安排，有相关经验者优先',
+      benefits: '包吃住，按时发薪',
+      viewCount: (index * 53) % 400,
+      publisherId: `u_${2001 + (index % 20)}`
+    }
+  })
+}
+
+// 内存数据库
+const db = {
+  jobs: [...mockJobs, ...generateJobs(57)].map(withCoordinates),
+  subscriptions: [],
+  favorites: [],
+  // 发布记录 { userId, jobId, time }，用于每日发布次数限制
+  publishLog: [],
+  // 分享记录 { id, userId, jobId, shareType, shareDate, status, reward, createTime, confirmTime }
+  // reward 为好友打开后的奖励方式，积分系统上线前的记录没有该字段，确认后直接解锁了发布日期
+  shares: [],
+  // 已注册的用户ID，首次登录即注册
+  users: [],
+  // 邀请记录 { inviterId, inviteeId, shareId, jobId, createTime }，每个新用户只计入一次
+  // 积分系统上线前的记录还有 unlockDates，为分享人解锁的日期
+  referrals: [],
+  // 积分流水 { id, clientId, userId, type, amount, date, jobId, createTime }
+  points: [],
+  // 积分解锁的权益 { userId, type: 'day' | 'job', date, jobId, source, createTime }
+  // source 为 points（积分解锁）或 legacy（积分系统上线前通过分享和邀请解锁，迁移而来）
+  entitlements: [],
+  // 已上传过本地旧解锁日期的用户ID，每个用户只接受一次
+  legacyImports: [],
+  // 会员订单 { id, userId, planKey, amount, status, createTime, payTime }
+  orders: [],
+  // 会员 { userId, planKey, planName, startTime, expireTime }，每人一条，续费时顺延到期时间
+  memberships: [],
+  // 待推送的订阅消息，真实后端由消息队列发送
+  notifications: []
+}
+
+// 统一响应格式
+const success = (data, message = 'success') => ({
+  statusCode: 200,
+  data: {
+    code: ERROR_CODES.SUCCESS,
+    message,
+    data,
+    timestamp: Date.now()
+  }
+})
+
+const fail = (code, message, statusCode = 200, data = null) => ({
+  statusCode,
+  data: {
+    code,
+    message,
+    data,
+    timestamp: Date.now()
+  }
+})
+
+// 从 Authorization 头解析当前用户 ID，未登录返回空字符串
+const getUserId = (header) => {
+  const authorization = (header && header.Authorization) || ''
+  const token = authorization.replace(/^Bearer\s+/, '')
+  return token.startsWith(TOKEN_PREFIX) ? token.slice(TOKEN_PREFIX.length) : ''
+}
+
+const unauthorized = () => fail(ERROR_CODES.UNAUTHORIZED, '请先登录', 401)
+
+// POST /auth/wechat/login
+const login = ({ data }) => {
+  if (!data || !data.code) {
+    return fail(ERROR_CODES.INVALID_PARAM, '缺少登录凭证')
+  }
+  const isNewUser = registerUser(DEMO_USER.id, data.referral)
+  return success({
+    token: `${TOKEN_PREFIX}${DEMO_USER.id}`,
+    userInfo: { ...DEMO_USER },
+    isNewUser
+  })
+}
+
+// 首次登录时注册，通过分享进入的新用户计入分享人的邀请，返回是否为新用户
+const registerUser = (userId, referral) => {
+  if (db.users.includes(userId)) return false
+  db.users = [...db.users, userId]
+  creditReferral(referral, userId)
+  return true
+}
+
+// 内容检查不通过时返回 2003，data 为 { 字段: 错误提示 }
+const checkContent = (job) => {
+  const errors = screenJob(job)
+  if (Object.keys(errors).length === 0) return null
+  return fail(ERROR_CODES.CONTENT_VIOLATION, '内容包含违规信息，请修改后再提交', 200, errors)
+}
+
+// 今天已发布的次数（新发布、草稿提交审核、重新发布各算一次）
+const countTodayPublishes = (userId) => {
+  const today = new Date().toDateString()
+  return db.publishLog.filter(item => item.userId === userId && new Date(item.time).toDateString() === today).length
+}
+
+// 超出每日发布次数返回 2004，与最近发布的职位内容重复返回 2005（data 为重复的职位）
+const checkPublishRules = (job, userId, { countQuota = true } = {}) => {
+  if (countQuota && countTodayPublishes(userId) >= DAILY_PUBLISH_LIMIT) {
+    return fail(ERROR_CODES.PUBLISH_LIMIT_EXCEEDED, `每天最多发布${DAILY_PUBLISH_LIMIT}条职位，请明天再来`)
+  }
+  const ownJobs = db.jobs.filter(item => item.publisherId === userId)
+  const duplicate = findDuplicateJob(job, ownJobs)
+  if (duplicate && duplicate.level === 'duplicate') {
+    return fail(ERROR_CODES.DUPLICATE_JOB, getDuplicateMessage(duplicate), 200, {
+      id: duplicate.job.id,
+      title: duplicate.job.title
+    })
+  }
+  return null
+}
+
+const logPublish = (job) => {
+  db.publishLog.push({ userId: job.publisherId, jobId: job.id, time: new Date().toISOString() })
+}
+
+// 审核不通过
+const rejectJob = (job, reason) => ({
+  ...job,
+  status: JOB_STATUS.REJECTED,
+  rejectReason: reason,
+  reviewTime: new Date().toISOString()
+})
+
+// 审核通过：以通过时间作为发布时间，并开始计算有效期
+const approveJob = (job) => {
+  const now = new Date()
+  const approved = {
+    ...job,
+    status: JOB_STATUS.PUBLISHED,
+    rejectReason: null,
+    reviewTime: now.toISOString(),
+    publishTime: now.toISOString(),
+    publishDate: now.toDateString(),
+    expireTime: new Date(now.getTime() + JOB_VALID_DAYS * 86400000).toISOString(),
+    refreshTime: null
+  }
+  notifySubscribers(approved)
+  return approved
+}
+
+// 推进职位状态：审核中的到时自动通过，已发布的到期自动过期
+const updateLifecycle = () => {
+  const now = Date.now()
+  db.jobs = db.jobs.map(job => {
+    const status = getJobStatus(job)
+    if (status === JOB_STATUS.REVIEWING && now - new Date(job.submitTime).getTime() >= MOCK_REVIEW_DELAY) {
+      // 自动审核与发布表单使用同一套内容规则
+      const errors = screenJob(job)
+      return Object.keys(errors).length > 0
+        ? rejectJob(job, formatScreenErrors(errors))
+        : approveJob(job)
+    }
+    if (status === JOB_STATUS.PUBLISHED && getExpireTime(job) <= now) {
+      return { ...job, status: JOB_STATUS.EXPIRED }
+    }
+    return job
+  })
+}
+
+// 提交审核必填的字段
+const hasRequiredFields = (data) => {
+  return Boolean(data.title && data.company && data.contact && data.cityCode)
+}
+
+const tooManyImages = (data) => {
+  return Array.isArray(data.images) && data.images.length > MAX_JOB_IMAGES
+}
+
+// 进入审核队列
+const submitForReview = (job) => ({
+  ...job,
+  status: JOB_STATUS.REVIEWING,
+  rejectReason: null,
+  submitTime: new Date().toISOString()
+})
+
+// 按解锁策略返回职位：锁定的职位不返回联系电话，列表中按策略隐藏中间 4 位
+const toJobView = (job, userId, { list = false } = {}) => {
+  const access = getJobAccess(UNLOCK_POLICY, job, {
+    userId,
+    membership: userId ? getMembership(userId) : null,
+    entitlements: userId ? getPointsAccount(userId).entitlements : { days: [], jobs: [] }
+  })
+  let contact = list ? formatContact(UNLOCK_POLICY, job.contact) : job.contact
+  if (!access.unlocked) {
+    contact = ''
+  }
+  return { ...job, contact, isUnlocked: access.unlocked, unlockReason: access.reason }
+}
+
+// GET /jobs
+const listJobs = ({ data, header }) => {
+  const userId = getUserId(header)
+  const { page, size, filters } = parseJobQuery(data)
+  // 公开列表只返回正常发布的职位
+  const published = db.jobs.filter(isJobPublished)
+  const matched = applyFiltersToJobs(published, filters)
+  const start = (page - 1) * size
+  const today = new Date().toDateString()
+
+  return success({
+    list: matched.slice(start, start + size).map(job => toJobView(job, userId, { list: true })),
+    pagination: {
+      page,
+      size,
+      total: matched.length,
+      // 符合筛选条件的今日发布数，列表分页加载，客户端无法自己统计
+      todayCount: matched.filter(job => job.publishDate === today).length,
+      hasMore: start + size < matched.length
+    }
+  })
+}
+
+// GET /jobs/{jobId}，未发布的职位只有发布者本人可见
+// view 为 1 时计一次浏览，只在打开详情页时带上，解锁后的重新获取不计；发布者本人查看不计
+const getJob = ({ params, data, header }) => {
+  const userId = getUserId(header)
+  const job = db.jobs.find(item => item.id === params[0])
+  if (!job || (!isJobPublished(job) && job.publisherId !== userId)) {
+    return fail(ERROR_CODES.JOB_NOT_FOUND, '职位不存在')
+  }
+  if (data && Number(data.view) === 1 && isJobPublished(job) && job.publisherId !== userId) {
+    const viewed = { ...job, viewCount: (job.viewCount || 0) + 1 }
+    db.jobs = db.jobs.map(item => item === job ? viewed : item)
+    return success(toJobView(viewed, userId))
+  }
+  return success(toJobView(job, userId))
+}
+
+// GET /jobs/status?ids=1,2,3
+const getJobStatuses = ({ data }) => {
+  const ids = String(data.ids || '').split(',').filter(Boolean)
+  const statuses = ids.reduce((result, id) => {
+    const job = db.jobs.find(item => item.id === id)
+    result[id] = job ? getJobStatus(job) : JOB_STATUS.OFFLINE
+    return result
+  }, {})
+  return success(statuses)
+}
+
+// POST /jobs，draft 为 true 时保存为草稿，否则直接提交审核
+const createJob = ({ data, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  const { draft, ...fields } = data || {}
+  // 草稿只要求职位名称
+  if (!fields.title || (!draft && !hasRequiredFields(fields))) {
+    return fail(ERROR_CODES.INVALID_PARAM, '缺少必填字段')
+  }
+  if (tooManyImages(fields)) {
+    return fail(ERROR_CODES.INVALID_PARAM, `最多上传${MAX_JOB_IMAGES}张图片`)
+  }
+  // 草稿提交审核时再检查内容
+  const contentError = !draft && checkContent(fields)
+  if (contentError) return contentError
+  const ruleError = !draft && checkPublishRules(fields, userId)
+  if (ruleError) return ruleError
+
+  const created = {
+    ...fields,
+    id: Date.now().toString(),
+    publisherId: userId,
+    status: JOB_STATUS.DRAFT,
+    createTime: new Date().toISOString(),
+    viewCount: 0
+  }
+  const job = draft ? created : submitForReview(created)
+  db.jobs = [job, ...db.jobs]
+  if (!draft) logPublish(job)
+
+  return success({ id: job.id, job, message: draft ? '草稿已保存' : '发布成功，等待审核' })
+}
+
+// GET /jobs/my
+const listMyJobs = ({ header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  return success(
+    db.jobs
+      .filter(job => job.publisherId === userId)
+      .sort((a, b) => new Date(b.publishTime || b.createTime) - new Date(a.publishTime || a.createTime))
+  )
+}
+
+// GET /jobs/quota，今日发布次数
+const getPublishQuota = ({ header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  return success({ limit: DAILY_PUBLISH_LIMIT, used: countTodayPublishes(userId) })
+}
+
+// 查找当前用户发布的职位，返回 { job } 或 { error }
+const findOwnJob = (jobId, header) => {
+  const userId = getUserId(header)
+  if (!userId) return { error: unauthorized() }
+  const job = db.jobs.find(item => item.id === jobId)
+  if (!job) return { error: fail(ERROR_CODES.JOB_NOT_FOUND, '职位不存在') }
+  if (job.publisherId !== userId) return { error: fail(ERROR_CODES.FORBIDDEN, '只能管理自己发布的职位', 403) }
+  return { job }
+}
+
+// 替换职位并返回最新数据
+const saveJob = (job) => {
+  db.jobs = db.jobs.map(item => item.id === job.id ? job : item)
+  return success({ ...job })
+}
+
+// 发布后不可修改的字段
+const READONLY_FIELDS = [
+  'id',
+  'publisherId',
+  'status',
+  'rejectReason',
+  'createTime',
+  'submitTime',
+  'reviewTime',
+  'publishTime',
+  'publishDate',
+  'expireTime',
+  'refreshTime',
+  'viewCount'
+]
+
+// PUT /jobs/{jobId}，已发布或未通过的职位修改后需要重新审核
+const updateJob = ({ params, data, header }) => {
+  const { job, error } = findOwnJob(params[0], header)
+  if (error) return error
+  const changes = Object.keys(data || {})
+    .filter(key => !READONLY_FIELDS.includes(key))
+    .reduce((result, key) => {
+      result[key] = data[key]
+      return result
+    }, {})
+  if (tooManyImages(changes)) {
+    return fail(ERROR_CODES.INVALID_PARAM, `最多上传${MAX_JOB_IMAGES}张图片`)
+  }
+  const updated = { ...job, ...changes, updateTime: new Date().toISOString() }
+  const status = getJobStatus(job)
+  if (status !== JOB_STATUS.DRAFT) {
+    const contentError = checkContent(updated)
+    if (contentError) return contentError
+    // 编辑不占用发布次数，但不能改成与其他职位重复的内容
+    const ruleError = checkPublishRules(updated, job.publisherId, { countQuota: false })
+    if (ruleError) return ruleError
+  }
+  if (status === JOB_STATUS.PUBLISHED || status === JOB_STATUS.REJECTED) {
+    return saveJob(submitForReview(updated))
+  }
+  return saveJob(updated)
+}
+
+// POST /jobs/{jobId}/submit，草稿提交审核
+const submitJob = ({ params, header }) => {
+  const { job, error } = findOwnJob(params[0], header)
+  if (error) return error
+  if (getJobStatus(job) !== JOB_STATUS.DRAFT) {
+    return fail(ERROR_CODES.INVALID_PARAM, '只能提交草稿')
+  }
+  if (!hasRequiredFields(job)) {
+    return fail(ERROR_CODES.INVALID_PARAM, '请先完善必填信息')
+  }
+  const contentError = checkContent(job)
+  if (contentError) return contentError
+  const ruleError = checkPublishRules(job, job.publisherId)
+  if (ruleError) return ruleError
+  logPublish(job)
+  return saveJob(submitForReview(job))
+}
+
+// POST /jobs/{jobId}/offline
+const takeJobOffline = ({ params, header }) => {
+  const { job, error } = findOwnJob(params[0], header)
+  if (error) return error
+  const status = getJobStatus(job)
+  if (status !== JOB_STATUS.PUBLISHED && status !== JOB_STATUS.REVIEWING) {
+    return fail(ERROR_CODES.INVALID_PARAM, '只能下架已发布或审核中的职位')
+  }
+  return saveJob({ ...job, status: JOB_STATUS.OFFLINE })
+}
+
+// POST /jobs/{jobId}/repost，已下架或过期的职位重新发布；下架期间改过内容的需要重新审核
+const repostJob = ({ params, header }) => {
+  const { job, error } = findOwnJob(params[0], header)
+  if (error) return error
+  const status = getJobStatus(job)
+  if (status !== JOB_STATUS.OFFLINE && status !== JOB_STATUS.EXPIRED) {
+    return fail(ERROR_CODES.INVALID_PARAM, '只能重新发布已下架或过期的职位')
+  }
+  const ruleError = checkPublishRules(job, job.publisherId)
+  if (ruleError) return ruleError
+  logPublish(job)
+  const editedAfterReview = job.updateTime && (!job.reviewTime || job.updateTime > job.reviewTime)
+  return saveJob(editedAfterReview ? submitForReview(job) : approveJob(job))
+}
+
+// PUT /admin/jobs/{jobId}/review，status 为 1 通过，其他为驳回（需填写原因）
+const reviewJob = ({ params, data }) => {
+  const job = db.jobs.find(item => item.id === params[0])
+  if (!job) {
+    return fail(ERROR_CODES.JOB_NOT_FOUND, '职位不存在')
+  }
+  if (getJobStatus(job) !== JOB_STATUS.REVIEWING) {
+    return fail(ERROR_CODES.INVALID_PARAM, '该职位不在审核中')
+  }
+  if (data.status === JOB_STATUS.PUBLISHED) {
+    return saveJob(approveJob(job))
+  }
+  if (!data.reason) {
+    return fail(ERROR_CODES.INVALID_PARAM, '请填写驳回原因')
+  }
+  return saveJob(rejectJob(job, data.reason))
+}
+
+// POST /jobs/{jobId}/refresh，置顶到最新列表，每个职位每天一次
+const refreshJob = ({ params, header }) => {
+  const { job, error } = findOwnJob(params[0], header)
+  if (error) return error
+  if (getJobStatus(job) !== JOB_STATUS.PUBLISHED) {
+    return fail(ERROR_CODES.INVALID_PARAM, '只能刷新已发布的职位')
+  }
+  const now = new Date()
+  if (job.refreshTime && new Date(job.refreshTime).toDateString() === now.toDateString()) {
+    return fail(ERROR_CODES.JOB_REFRESH_LIMIT, '该职位今天已经刷新过了')
+  }
+  return saveJob({ ...job, refreshTime: now.toISOString() })
+}
+
+// 新职位命中已授权提醒的订阅时，加入推送队列
+const notifySubscribers = (job) => {
+  db.subscriptions
+    .filter(item => item.notify && applyFiltersToJobs([job], item.filters).length > 0)
+    .forEach(item => {
+      db.notifications.push({
+        subscriptionId: item.id,
+        userId: item.userId,
+        jobId: job.id,
+        createTime: job.publishTime
+      })
+    })
+}
+
+// POST /subscriptions
+const createSubscription = ({ data, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  if (!data || !data.name || !data.filters) {
+    return fail(ERROR_CODES.INVALID_PARAM, '缺少必填字段')
+  }
+
+  const subscription = {
+    id: `sub_${Date.now()}`,
+    userId,
+    name: data.name,
+    filters: data.filters,
+    notify: !!data.notify,
+    createTime: new Date().toISOString()
+  }
+  db.subscriptions = [subscription, ...db.subscriptions]
+
+  return success(subscription)
+}
+
+// DELETE /subscriptions/{subscriptionId}，只能删除自己的订阅
+const deleteSubscription = ({ params, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  const subscription = db.subscriptions.find(item => item.id === params[0])
+  if (!subscription) return fail(ERROR_CODES.NOT_FOUND, '订阅不存在', 404)
+  if (subscription.userId !== userId) return fail(ERROR_CODES.FORBIDDEN, '只能删除自己的订阅', 403)
+  db.subscriptions = db.subscriptions.filter(item => item !== subscription)
+  return success(null)
+}
+
+
+// GET /favorites
+const listFavorites = ({ header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  return success(db.favorites.filter(item => item.userId === userId).map(item => {
+    const job = db.jobs.find(job => job.id === item.jobId)
+    return { ...item, job: job ? toJobView(job, userId) : null }
+  }))
+}
+
+// POST /favorites
+const addFavorite = ({ data, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  if (!data || !data.jobId) {
+    return fail(ERROR_CODES.INVALID_PARAM, '缺少职位ID')
+  }
+  if (!db.favorites.some(item => item.userId === userId && item.jobId === data.jobId)) {
+    db.favorites = [{ userId, jobId: data.jobId, favoriteTime: new Date().toISOString() }, ...db.favorites]
+  }
+  return success(null)
+}
+
+// DELETE /favorites/{jobId}
+const removeFavorite = ({ params, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  db.favorites = db.favorites.filter(item => item.userId !== userId || item.jobId !== params[0])
+  return success(null)
+}
+
+// POST /share/poster，生成扫码直达职位详情的小程序码，海报由客户端绘制
+// 海报同时登记一次分享，扫码打开后确认
+const createPoster = ({ data, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  const job = db.jobs.find(item => item.id === data.jobId)
+  if (!job || !isJobPublished(job)) {
+    return fail(ERROR_CODES.JOB_NOT_FOUND, '职位不存在')
+  }
+  if (countTodayShares(userId) >= DAILY_SHARE_LIMIT) {
+    return fail(ERROR_CODES.SHARE_LIMIT_EXCEEDED, '今日分享次数已达上限')
+  }
+  const share = addShare(userId, job, createShareId(), SHARE_TYPES.POSTER)
+  const path = `pages/detail/index?${buildShareQuery(job.id, share.id)}`
+  return success({
+    qrCode: `${MOCK_QR_CODE_URL}${encodeURIComponent(path)}`,
+    path,
+    scene: buildPosterScene(job.id, share.id)
+  })
+}
+
+const countTodayShares = (userId) => {
+  const today = new Date().toDateString()
+  return db.shares.filter(item => item.userId === userId && new Date(item.createTime).toDateString() === today).length
+}
+
+const addShare = (userId, job, shareId, shareType) => {
+  const share = {
+    id: shareId,
+    userId,
+    jobId: job.id,
+    shareType,
+    // 以职位的发布日期为准，不信任客户端传入的日期
+    shareDate: toShareDate(job.publishDate || job.publishTime),
+    status: 'pending',
+    reward: 'points',
+    createTime: new Date().toISOString(),
+    confirmTime: null
+  }
+  db.shares = [share, ...db.shares]
+  return share
+}
+
+// 好友打开分享：确认分享并给分享人发放分享积分（每天有次数上限）
+const confirmShare = (share) => {
+  db.shares = db.shares.map(item => item.id === share.id
+    ? { ...item, status: 'confirmed', reward: 'points', confirmTime: new Date().toISOString() }
+    : item
+  )
+  const today = toShareDate(new Date())
+  const earnedToday = db.points.filter(item => item.userId === share.userId &&
+    item.type === POINTS_TYPES.SHARE && item.date === today).length
+  if (earnedToday < POINTS_RULES.shareDailyLimit) {
+    addPoints(share.userId, { type: POINTS_TYPES.SHARE, date: today, jobId: share.jobId })
+  }
+}
+
+// 模拟好友打开分享：登记一段时间后自动确认；邀请只在真实的新用户带分享ID登录时计入
+const updateShares = () => {
+  const now = Date.now()
+  db.shares
+    .filter(share => share.status === 'pending' && now - new Date(share.createTime).getTime() >= MOCK_SHARE_OPEN_DELAY)
+    .forEach(confirmShare)
+}
+
+// 新用户通过分享注册：给分享人发放邀请积分
+// 分享人和职位只以服务端登记的分享记录为准，没有分享记录（如登记失败）的不计入
+const creditReferral = (referral, inviteeId) => {
+  const share = referral && db.shares.find(item => item.id === referral.shareId)
+  if (!share || share.userId === inviteeId) return null
+  const job = db.jobs.find(item => item.id === share.jobId)
+  if (!job) return null
+  if (db.referrals.some(item => item.inviteeId === inviteeId)) return null
+  const inviterId = share.userId
+  const record = {
+    inviterId,
+    inviteeId,
+    shareId: share.id,
+    jobId: job.id,
+    createTime: new Date().toISOString()
+  }
+  db.referrals = [record, ...db.referrals]
+  addPoints(inviterId, { type: POINTS_TYPES.INVITE, date: toShareDate(new Date()), jobId: job.id })
+  return record
+}
+
+// POST /share/record，分享时登记，状态为待确认
+const recordShare = ({ data, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  if (!data.shareId || !data.jobId || !Object.values(SHARE_TYPES).includes(data.shareType)) {
+    return fail(ERROR_CODES.INVALID_PARAM, '缺少分享信息')
+  }
+  const job = db.jobs.find(item => item.id === data.jobId)
+  if (!job) {
+    return fail(ERROR_CODES.JOB_NOT_FOUND, '职位不存在')
+  }
+  const existing = db.shares.find(item => item.id === data.shareId)
+  if (existing) {
+    return existing.userId === userId
+      ? success({ shareId: existing.id, status: existing.status })
+      : fail(ERROR_CODES.INVALID_PARAM, '分享ID重复')
+  }
+  if (countTodayShares(userId) >= DAILY_SHARE_LIMIT) {
+    return fail(ERROR_CODES.SHARE_LIMIT_EXCEEDED, '今日分享次数已达上限')
+  }
+  const share = addShare(userId, job, data.shareId, data.shareType)
+  return success({ shareId: share.id, status: share.status })
+}
+
+// POST /share/open，好友打开分享时确认；群聊打开时带 shareTicket，真实后端用 getShareInfo 校验
+const openShare = ({ data, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  const share = db.shares.find(item => item.id === data.shareId)
+  if (!share) {
+    return fail(ERROR_CODES.NOT_FOUND, '分享不存在')
+  }
+  // 自己打开自己的分享不算
+  if (share.userId === userId || share.status === 'confirmed') {
+    return success({ confirmed: share.status === 'confirmed' })
+  }
+  confirmShare(share)
+  return success({ confirmed: true })
+}
+
+// GET /share/unlock-status，等待好友打开的分享和邀请人数；解锁由积分权益决定
+const getUnlockStatus = ({ header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  const shares = db.shares.filter(item => item.userId === userId)
+  return success({
+    pendingDates: [...new Set(shares.filter(item => item.status === 'pending').map(item => item.shareDate))],
+    todayShared: countTodayShares(userId) > 0,
+    invitedCount: db.referrals.filter(item => item.inviterId === userId).length
+  })
+}
+
+// 记一笔积分，解锁类的同时记入权益；积分数以服务端规则为准
+const addPoints = (userId, { clientId = null, type, date = '', jobId = '', createTime }) => {
+  const record = {
+    id: `pt_${db.points.length + 1}`,
+    clientId,
+    userId,
+    type,
+    amount: getPointsAmount(type, POINTS_RULES),
+    date,
+    jobId,
+    createTime: createTime || new Date().toISOString()
+  }
+  db.points = [record, ...db.points]
+  if (type === POINTS_TYPES.UNLOCK_DAY || type === POINTS_TYPES.UNLOCK_JOB) {
+    db.entitlements = [...db.entitlements, {
+      userId,
+      type: type === POINTS_TYPES.UNLOCK_DAY ? 'day' : 'job',
+      date: type === POINTS_TYPES.UNLOCK_DAY ? date : '',
+      jobId: type === POINTS_TYPES.UNLOCK_JOB ? jobId : '',
+      source: 'points',
+      createTime: record.createTime
+    }]
+  }
+  return record
+}
+
+// 积分系统上线前已确认的分享和邀请奖励直接解锁了日期，迁移为按天解锁的权益
+// 迁移后给分享记录补上 reward、去掉邀请记录的 unlockDates，重复调用不会重复迁移
+// 上线前登记、上线后才被打开的分享按积分规则奖励
+const migrateLegacyUnlocks = (userId) => {
+  const legacyShares = db.shares.filter(item => item.userId === userId && !item.reward && item.status === 'confirmed')
+  const legacyReferrals = db.referrals.filter(item => item.inviterId === userId && item.unlockDates)
+  const unlocks = [
+    ...legacyShares.map(item => ({ date: item.shareDate, createTime: item.confirmTime || item.createTime })),
+    ...legacyReferrals.reduce((result, item) => [
+      ...result,
+      ...item.unlockDates.map(date => ({ date, createTime: item.createTime }))
+    ], [])
+  ]
+  unlocks.forEach(({ date, createTime }) => {
+    const exists = db.entitlements.some(item => item.userId === userId && item.type === 'day' && item.date === date)
+    if (exists) return
+    db.entitlements = [...db.entitlements, { userId, type: 'day', date, jobId: '', source: 'legacy', createTime }]
+  })
+  db.shares = db.shares.map(item => legacyShares.includes(item) ? { ...item, reward: 'unlock' } : item)
+  db.referrals = db.referrals.map(item => {
+    if (!legacyReferrals.includes(item)) return item
+    const { unlockDates, ...record } = item
+    return record
+  })
+}
+
+// 积分系统上线前分享解锁的日期只保存在客户端本地，升级后随首次同步上传，每个用户只接受一次
+// 只接受今天以前的日期，已有按天解锁权益的日期跳过
+const importLegacyDays = (userId, dates) => {
+  if (!Array.isArray(dates) || dates.length === 0 || db.legacyImports.includes(userId)) return
+  db.legacyImports = [...db.legacyImports, userId]
+  const today = toShareDate(new Date())
+  const createTime = new Date().toISOString()
+  dates
+    .filter((date, index) => /^\d{4}-\d{2}-\d{2}$/.test(date) && date < today && dates.indexOf(date) === index)
+    .forEach(date => {
+      const exists = db.entitlements.some(item => item.userId === userId && item.type === 'day' && item.date === date)
+      if (exists) return
+      db.entitlements = [...db.entitlements, { userId, type: 'day', date, jobId: '', source: 'legacy', createTime }]
+    })
+}
+
+const getPointsAccount = (userId) => {
+  migrateLegacyUnlocks(userId)
+  const transactions = db.points.filter(item => item.userId === userId)
+  const entitlements = db.entitlements.filter(item => item.userId === userId)
+  return {
+    balance: transactions.reduce((total, item) => total + item.amount, 0),
+    transactions,
+    entitlements: {
+      days: entitlements
+        .filter(item => item.type === 'day')
+        .map(item => ({ date: item.date, unlockTime: item.createTime })),
+      jobs: entitlements
+        .filter(item => item.type === 'job')
+        .map(item => ({ jobId: item.jobId, unlockTime: item.createTime }))
+    },
+    rules: POINTS_RULES
+  }
+}
+
+// GET /points/account，积分余额、流水、解锁权益和积分规则
+const fetchPointsAccount = ({ header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  return success(getPointsAccount(userId))
+}
+
+// POST /points/sync，提交客户端离线记的流水，按 clientId 去重，逐笔校验后记账
+// legacyDays 为客户端本地缓存的旧解锁日期，先于流水导入
+const syncPoints = ({ data, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  if (!Array.isArray(data.transactions)) {
+    return fail(ERROR_CODES.INVALID_PARAM, '缺少积分流水')
+  }
+  importLegacyDays(userId, data.legacyDays)
+  const accepted = []
+  const rejected = []
+  data.transactions.forEach(transaction => {
+    if (!transaction.clientId) return
+    if (db.points.some(item => item.userId === userId && item.clientId === transaction.clientId)) {
+      accepted.push(transaction.clientId)
+      return
+    }
+    const job = transaction.jobId && db.jobs.find(item => item.id === transaction.jobId)
+    let error = validatePointsTransaction(transaction, getPointsAccount(userId), POINTS_RULES, UNLOCK_POLICY)
+    // 签到日期须与记账时间一致，且在可同步的范围内，防止补签以前的日期刷积分
+    if (!error && transaction.type === POINTS_TYPES.CHECK_IN &&
+      (!isCheckInDateAllowed(transaction.date) || toShareDate(transaction.createTime) !== transaction.date)) {
+      error = { code: ERROR_CODES.POINTS_INVALID, message: '签到日期无效' }
+    }
+    if (!error && transaction.type === POINTS_TYPES.UNLOCK_JOB && !job) {
+      error = { code: ERROR_CODES.JOB_NOT_FOUND, message: '职位不存在' }
+    }
+    if (error) {
+      rejected.push({ clientId: transaction.clientId, ...error })
+      return
+    }
+    addPoints(userId, transaction)
+    accepted.push(transaction.clientId)
+  })
+  return success({ accepted, rejected, account: getPointsAccount(userId) })
+}
+
+// GET /config/unlock-policy，免费查看天数、解锁方式、解锁有效期和是否隐藏联系电话
+const fetchUnlockPolicy = () => success(UNLOCK_POLICY)
+
+const getMembership = (userId) => db.memberships.find(item => item.userId === userId) || null
+
+// GET /membership，当前会员（含已过期的）和可购买的套餐
+const fetchMembership = ({ header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  return success({ membership: getMembership(userId), plans: MEMBERSHIP_PLANS })
+}
+
+// POST /membership/orders，创建订单并返回调起微信支付的参数
+const createMembershipOrder = ({ data, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  const plan = getMembershipPlan(data.planKey)
+  if (!plan) {
+    return fail(ERROR_CODES.INVALID_PARAM, '套餐不存在')
+  }
+  const order = {
+    id: `o_${Date.now()}${db.orders.length}`,
+    userId,
+    planKey: plan.key,
+    amount: plan.price,
+    status: ORDER_STATUS.PENDING,
+    createTime: new Date().toISOString(),
+    payTime: null
+  }
+  db.orders = [order, ...db.orders]
+  return success({
+    orderId: order.id,
+    amount: order.amount,
+    payParams: {
+      timeStamp: String(Math.floor(Date.now() / 1000)),
+      nonceStr: Math.random().toString(36).slice(2),
+      package: `prepay_id=mock_${order.id}`,
+      signType: 'RSA',
+      paySign: 'mock-sign'
+    }
+  })
+}
+
+// GET /membership/orders/{orderId}，支付后查询订单状态，已支付时带上最新的会员信息
+const fetchMembershipOrder = ({ params, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  const order = db.orders.find(item => item.id === params[0] && item.userId === userId)
+  if (!order) {
+    return fail(ERROR_CODES.NOT_FOUND, '订单不存在')
+  }
+  return success({
+    orderId: order.id,
+    status: order.status,
+    membership: order.status === ORDER_STATUS.PAID ? getMembership(userId) : null
+  })
+}
+
+// 微信支付结果通知（对应真实后端的支付回调）：订单置为已支付并开通或续费会员
+const payOrder = (order) => {
+  const plan = getMembershipPlan(order.planKey)
+  const now = new Date().toISOString()
+  const current = db.memberships.find(item => item.userId === order.userId)
+  const membership = {
+    userId: order.userId,
+    planKey: plan.key,
+    planName: plan.name,
+    startTime: isMembershipActive(current) ? current.startTime : now,
+    expireTime: getRenewedExpireTime(current, plan)
+  }
+  db.orders = db.orders.map(item => item.id === order.id ? { ...item, status: ORDER_STATUS.PAID, payTime: now } : item)
+  db.memberships = [...db.memberships.filter(item => item.userId !== order.userId), membership]
+}
+
+// POST /membership/orders/{orderId}/fake-notify，测试环境的模拟支付结果通知，只能结算自己待支付的订单
+const notifyFakePayment = ({ params, header }) => {
+  const userId = getUserId(header)
+  if (!userId) return unauthorized()
+  const order = db.orders.find(item => item.id === params[0] && item.userId === userId)
+  if (!order) {
+    return fail(ERROR_CODES.NOT_FOUND, '订单不存在')
+  }
+  if (order.status !== ORDER_STATUS.PENDING) {
+    return success({ orderId: order.id, status: order.status })
+  }
+  payOrder(order)
+  return success({ orderId: order.id, status: ORDER_STATUS.PAID })
+}
+
+const routes = [
+  { method: 'POST', pattern: /^\/auth\/wechat\/login$/, handler: login },
+  { method: 'GET', pattern: /^\/jobs$/, handler: listJobs },
+  { method: 'GET', pattern: /^\/jobs\/status$/, handler: getJobStatuses },
+  { method: 'GET', pattern: /^\/jobs\/my$/, handler: listMyJobs },
+  { method: 'GET', pattern: /^\/jobs\/quota$/, handler: getPublishQuota },
+  { method: 'GET', pattern: /^\/jobs\/([^/]+)$/, handler: getJob },
+  { method: 'POST', pattern: /^\/jobs$/, handler: createJob },
+  { method: 'PUT', pattern: /^\/jobs\/([^/]+)$/, handler: updateJob },
+  { method: 'POST', pattern: /^\/jobs\/([^/]+)\/submit$/, handler: submitJob },
+  { method: 'POST', pattern: /^\/jobs\/([^/]+)\/offline$/, handler: takeJobOffline },
+  { method: 'POST', pattern: /^\/jobs\/([^/]+)\/repost$/, handler: repostJob },
+  { method: 'POST', pattern: /^\/jobs\/([^/]+)\/refresh$/, handler: refreshJob },
+  { method: 'PUT', pattern: /^\/admin\/jobs\/([^/]+)\/review$/, handler: reviewJob },
+  { method: 'POST', pattern: /^\/subscriptions$/, handler: createSubscription },
+  { method: 'DELETE', pattern: /^\/subscriptions\/([^/]+)$/, handler: deleteSubscription },
+  { method: 'POST', pattern: /^\/share\/poster$/, handler: createPoster },
+  { method: 'POST', pattern: /^\/share\/record$/, handler: recordShare },
+  { method: 'POST', pattern: /^\/share\/open$/, handler: openShare },
+  { method: 'GET', pattern: /^\/share\/unlock-status$/, handler: getUnlockStatus },
+  { method: 'GET', pattern: /^\/points\/account$/, handler: fetchPointsAccount },
+  { method: 'POST', pattern: /^\/points\/sync$/, handler: syncPoints },
+  { method: 'GET', pattern: /^\/config\/unlock-policy$/, handler: fetchUnlockPolicy },
+  { method: 'GET', pattern: /^\/membership$/, handler: fetchMembership },
+  { method: 'POST', pattern: /^\/membership\/orders$/, handler: createMembershipOrder },
+  { method: 'GET', pattern: /^\/membership\/orders\/([^/]+)$/, handler: fetchMembershipOrder },
+  { method: 'POST', pattern: /^\/membership\/orders\/([^/]+)\/fake-notify$/, handler: notifyFakePayment },
+  { method: 'GET', pattern: /^\/favorites$/, handler: listFavorites },
+  { method: 'POST', pattern: /^\/favorites$/, handler: addFavorite },
+  { method: 'DELETE', pattern: /^\/favorites\/([^/]+)$/, handler: removeFavorite }
+]
+
+const mockAdapter = ({ url, method, data, header }) => {
+  const path = url.split('?')[0]
+
+  return new Promise(resolve => {
+    setTimeout(() => {
+      updateLifecycle()
+      updateShares()
+      for (const route of routes) {
+        const match = route.method === method && path.match(route.pattern)
+        if (match) {
+          resolve(route.handler({ params: match.slice(1), data: data || {}, header }))
+          return
+        }
+      }
+      resolve(fail(ERROR_CODES.NOT_FOUND, `接口不存在: ${method} ${path}`, 404))
+    }, MOCK_DELAY)
+  })
+}
+
+// 模拟文件上传（对应 Taro.uploadFile）：分几次回调上传进度，返回的图片地址即本地临时路径
+export const mockUploadAdapter = ({ url, filePath, header, onProgress }) => {
+  const steps = [20, 50, 80, 100]
+
+  return new Promise(resolve => {
+    const next = (index) => {
+      setTimeout(() => {
+        onProgress && onProgress(steps[index])
+        if (index < steps.length - 1) {
+          next(index + 1)
+          return
+        }
+        let res
+        if (url !== '/upload/image') {
+          res = fail(ERROR_CODES.NOT_FOUND, `接口不存在: POST ${url}`, 404)
+        } else if (!getUserId(header)) {
+          res = unauthorized()
+        } else {
+          res = success({ url: filePath })
+        }
+        // uploadFile 返回的 data 是字符串
+        resolve({ ...res, data: JSON.stringify(res.data) })
+      }, MOCK_DELAY)
+    }
+    next(0)
+  })
+}
+
+export default mockAdapter
@@ -0,0 +1,11 @@
+import request from '../utils/request'
+
+// 积分账户 { balance, transactions, entitlements, rules }
+export const fetchPointsAccount = () => {
+  return request.get('/points/account')
+}
+
+// 提交本地记的积分流水和待上传的旧解锁日期，返回 { accepted, rejected, account }
+export const syncPointsTransactions = (transactions, legacyDays = []) => {
+  return request.post('/points/sync', { transactions, legacyDays })
+}
@@ -0,0 +1,21 @@
+import request from '../utils/request'
+
+// 生成分享海报，返回小程序码图片地址 { qrCode, path, scene }
+export const createPoster = (jobId, template) => {
+  return request.post('/share/poster', { jobId, template })
+}
+
+// 登记分享（需登录），好友打开后才算分享成功
+export const recordShare = ({ shareId, jobId, shareType, shareDate }) => {
+  return request.post('/share/record', { shareId, jobId, shareType, shareDate })
+}
+
+// 打开别人的分享时确认，群聊分享带上 shareTicket
+export const openShare = (shareId, shareTicket) => {
+  return request.post('/share/open', { shareId, shareTicket })
+}
+
+// 查询分享状态 { pendingDates, todayShared, invitedCount }
+export const fetchUnlockStatus = () => {
+  return request.get('/share/unlock-status')
+}
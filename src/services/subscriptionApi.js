@@ -0,0 +1,11 @@
+import request from '../utils/request'
+
+// 保存订阅，notify 为用户是否同意接收新职位提醒
+export const createSubscription = (subscription) => {
+  return request.post('/subscriptions', subscription)
+}
+
+// 删除订阅
+export const deleteSubscription = (subscriptionId) => {
+  return request.delete(`/subscriptions/${subscriptionId}`)
+}
@@ -0,0 +1,7 @@
+import request from '../utils/request'
+
+// 上传职位图片，返回图片地址
+export const uploadImage = async (filePath, onProgress) => {
+  const { url } = await request.upload('/upload/image', filePath, { onProgress })
+  return url
+}
@@ -1,185 +1,444 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react'
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react'
 import Taro from '@tarojs/taro'
+import {
+  fetchJobs,
+  fetchJobDetail,
+  fetchJobStatuses,
+  fetchMyJobs,
+  createJob,
+  updateJob,
+  takeJobOffline,
+  repostJob,
+  refreshJob,
+  submitJob,
+  fetchPublishQuota
+} from '../services/jobApi'
+import { loginWithWechat } from '../services/authApi'
+import { fetchFavorites, addFavorite, removeFavorite } from '../services/favoriteApi'
+import { createSubscription, deleteSubscription } from '../services/subscriptionApi'
+import { uploadImage } from '../services/uploadApi'
+import { createPoster, recordShare, openShare, fetchUnlockStatus } from '../services/shareApi'
+import { fetchPointsAccount, syncPointsTransactions } from '../services/pointsApi'
+import { fetchMembership, createMembershipOrder, fetchMembershipOrder, notifyFakePayment } from '../services/membershipApi'
+import { fetchUnlockPolicy } from '../services/configApi'
+import { ERROR_CODES, RequestError, isLoggedIn, setToken } from '../utils/request'
+import { applyFiltersToJobs, buildJobQuery, PAGE_SIZE } from '../utils/jobQuery'
+import { addSearchHistory } from '../utils/searchSuggest'
+import { upsertDraft } from '../utils/formDrafts'
+import { createTemplateId, upsertTemplate } from '../utils/publishTemplates'
+import { pickSubscriptionFilters, requestJobAlert } from '../utils/subscriptions'
+import { JOB_STATUS, getJobStatus, isJobPublished, isTakenDownStatus } from '../utils/jobStatus'
+import { createShareId, getLaunchReferral, getShareTicket, toDateMap, toShareDate } from '../utils/share'
+import {
+  POINTS_TYPES,
+  applyPointsAccount,
+  createPointsTransaction,
+  getLegacyDays,
+  getLocalAccount,
+  hasCheckedIn,
+  initialPointsLedger,
+  normalizePointsLedger,
+  validatePointsTransaction
+} from '../utils/points'
+import {
+  MEMBERSHIP_PLANS,
+  ORDER_POLL_INTERVAL,
+  ORDER_POLL_TIMES,
+  ORDER_STATUS,
+  isMembershipActive
+} from '../utils/membership'
+import { requestPayment } from '../utils/payment'
+import { DEFAULT_UNLOCK_POLICY, getJobAccess, normalizeUnlockPolicy } from '../utils/unlockPolicy'
+import { DAILY_PUBLISH_LIMIT, findDuplicateJob, getDuplicateMessage, getRemainingPublishes } from '../utils/publishRules'
 
-// 模拟职位数据
-const mockJobs = [
-  {
-    id: '1',
-    title: '高级前端工程师',
-    company: '阿里巴巴',
-    location: '杭州市',
-    salary: '20-35K',
-    experience: '3-5年',
-    education: '本科',
-    tags: ['Vue', 'React', 'TypeScript'],
-    description: '负责前端架构设计，参与核心业务开发...',
-    contact: '13812345678',
-    contactName: '张经理',
-    publishTime: new Date().toISOString(),
-    publishDate: new Date().toDateString(),
-    requirements: '熟练掌握Vue/React框架，有大型项目经验',
-    benefits: '五险一金，带薪年假，股票期权'
-  },
-  {
-    id: '2',
-    title: '建筑工程师',
-    company: '中建集团',
-    location: '上海市',
-    salary: '15-25K',
-    experience: '5年以上',
-    education: '本科',
-    tags: ['土木工程', 'CAD', '项目管理'],
-    description: '负责建筑工程设计、施工管理...',
-    contact: '13698765432',
-    contactName: '李工',
-    publishTime: new Date(Date.now() - 86400000).toISOString(),
-    publishDate: new Date(Date.now() - 86400000).toDateString(),
-    requirements: '土木工程相关专业，熟悉建筑规范',
-    benefits: '五险一金，项目奖金，技能培训'
-  },
-  {
-    id: '3',
-    title: '机械设计工程师',
-    company: '三一重工',
-    location: '长沙市',
-    salary: '12-20K',
-    experience: '3年以上',
-    education: '本科',
-    tags: ['机械设计', 'SolidWorks', '工艺改进'],
-    description: '负责机械产品设计与优化...',
-    contact: '13566778899',
-    contactName: '王总',
-    publishTime: new Date(Date.now() - 172800000).toISOString(),
-    publishDate: new Date(Date.now() - 172800000).toDateString(),
-    requirements: '机械相关专业，熟练使用设计软件',
-    benefits: '五险一金，年终奖，职业发展'
-  }
-]
-
-// 地区数据
-const locations = {
-  '北京市': ['东城区', '西城区', '朝阳区', '海淀区', '丰台区'],
-  '上海市': ['黄浦区', '徐汇区', '长宁区', '静安区', '普陀区'],
-  '广州市': ['天河区', '越秀区', '荔湾区', '海珠区', '白云区'],
-  '深圳市': ['南山区', '福田区', '罗湖区', '宝安区', '龙岗区'],
-  '杭州市': ['西湖区', '拱墅区', '江干区', '下城区', '上城区'],
-  '成都市': ['锦江区', '青羊区', '金牛区', '武侯区', '成华区'],
-  '重庆市': ['渝中区', '江北区', '南岸区', '九龙坡区', '沙坪坝区'],
-  '武汉市': ['江汉区', '江岸区', '硚口区', '汉阳区', '武昌区'],
-  '西安市': ['新城区', '碑林区', '莲湖区', '雁塔区', '未央区'],
-  '长沙市': ['芙蓉区', '天心区', '岳麓区', '开福区', '雨花区']
+const defaultFilters = {
+  regionCode: '',
+  salaryMin: 0,
+  // 没有上限时为 null
+  salaryMax: null,
+  experience: [],
+  education: [],
+  employmentType: [],
+  keyword: '',
+  sortBy: 'time',
+  order: 'desc',
+  // 距离排序时的用户位置
+  latitude: null,
+  longitude: null
+}
+
+// 浏览记录最多保留条数
+const MAX_VIEW_HISTORY = 50
+
+// setTimeout 的最大延迟（约 24.8 天），会员到期提醒超过时分段等待
+const MAX_TIMER_DELAY = 2147483647
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const initialPagination = {
+  page: 0,
+  size: PAGE_SIZE,
+  total: 0,
+  todayCount: 0,
+  hasMore: true
 }
 
 // 初始状态
 const initialState = {
-  jobs: mockJobs,
-  filteredJobs: mockJobs,
-  filters: {
-    location: '',
-    district: '',
-    keyword: ''
-  },
-  unlockedDates: {},
+  jobs: [],
+  filteredJobs: [],
+  filters: defaultFilters,
+  pagination: initialPagination,
+  listLoading: false,
+  listError: '',
+  loadingMore: false,
+  loadMoreError: '',
+  // 已分享、等待好友打开确认的日期
+  pendingUnlockDates: {},
+  // 通过分享注册的新用户数
+  invitedCount: 0,
+  // 积分本地账本，离线时先记账，联网后与服务端对账
+  points: initialPointsLedger,
+  // 会员 { planKey, planName, startTime, expireTime }，有效期内历史职位不锁定
+  membership: null,
+  membershipPlans: MEMBERSHIP_PLANS,
+  // 解锁策略：免费查看天数、解锁方式、解锁有效期、是否隐藏联系电话，以服务端下发的为准
+  unlockPolicy: DEFAULT_UNLOCK_POLICY,
+  // 收藏的职位：{ jobId, job, favoritedAt, offline }，job 为收藏时的快照
+  favorites: [],
+  // 浏览记录：{ jobId, job, viewedAt }，最近浏览的在前
+  viewHistory: [],
+  // 最近搜索关键词，最新的在前
+  searchHistory: [],
+  // 保存的搜索：{ id, name, filters, notify, lastViewedAt, newCount }
+  subscriptions: [],
+  // 当前用户发布的职位（含已下架）
+  myJobs: [],
+  // 今日发布次数，以服务端为准
+  publishQuota: { limit: DAILY_PUBLISH_LIMIT, used: 0 },
+  // 正在编辑的职位，发布页据此进入编辑模式
+  editingJob: null,
+  // 发布表单的本地草稿：{ id, name, formData, jobId, updatedAt }，最近保存的在前
+  formDrafts: [],
+  // 发布模板：{ id, name, formData, updatedAt }，最近保存的在前
+  publishTemplates: [],
   userInfo: {
+    id: '',
     avatar: 'https://avatars.dicebear.com/api/avataaars/user.svg',
     nickname: '工程师小王',
     phone: '138****8888',
     publishCount: 0
-  },
-  locations
+  }
 }
 
 // Action 类型
 const ACTIONS = {
   SET_FILTERS: 'SET_FILTERS',
   RESET_FILTERS: 'RESET_FILTERS',
-  APPLY_FILTERS: 'APPLY_FILTERS',
   PUBLISH_JOB: 'PUBLISH_JOB',
-  UNLOCK_DATE: 'UNLOCK_DATE',
-  REFRESH_JOBS: 'REFRESH_JOBS',
+  SET_UNLOCK_STATUS: 'SET_UNLOCK_STATUS',
+  RECORD_POINTS: 'RECORD_POINTS',
+  SET_POINTS_ACCOUNT: 'SET_POINTS_ACCOUNT',
+  SET_MEMBERSHIP: 'SET_MEMBERSHIP',
+  SET_UNLOCK_POLICY: 'SET_UNLOCK_POLICY',
+  FETCH_JOBS_START: 'FETCH_JOBS_START',
+  FETCH_JOBS_SUCCESS: 'FETCH_JOBS_SUCCESS',
+  FETCH_JOBS_FAILURE: 'FETCH_JOBS_FAILURE',
+  RECEIVE_JOB: 'RECEIVE_JOB',
+  SET_USER_INFO: 'SET_USER_INFO',
+  FETCH_MY_JOBS_SUCCESS: 'FETCH_MY_JOBS_SUCCESS',
+  SET_PUBLISH_QUOTA: 'SET_PUBLISH_QUOTA',
+  START_EDIT_JOB: 'START_EDIT_JOB',
+  CANCEL_EDIT_JOB: 'CANCEL_EDIT_JOB',
+  SAVE_FORM_DRAFT: 'SAVE_FORM_DRAFT',
+  REMOVE_FORM_DRAFT: 'REMOVE_FORM_DRAFT',
+  SAVE_PUBLISH_TEMPLATE: 'SAVE_PUBLISH_TEMPLATE',
+  REMOVE_PUBLISH_TEMPLATE: 'REMOVE_PUBLISH_TEMPLATE',
+  ADD_SEARCH_HISTORY: 'ADD_SEARCH_HISTORY',
+  CLEAR_SEARCH_HISTORY: 'CLEAR_SEARCH_HISTORY',
+  ADD_FAVORITE: 'ADD_FAVORITE',
+  REMOVE_FAVORITE: 'REMOVE_FAVORITE',
+  MERGE_FAVORITES: 'MERGE_FAVORITES',
+  SET_FAVORITE_STATUSES: 'SET_FAVORITE_STATUSES',
+  RECORD_VIEW: 'RECORD_VIEW',
+  REMOVE_VIEW: 'REMOVE_VIEW',
+  CLEAR_VIEW_HISTORY: 'CLEAR_VIEW_HISTORY',
+  ADD_SUBSCRIPTION: 'ADD_SUBSCRIPTION',
+  REMOVE_SUBSCRIPTION: 'REMOVE_SUBSCRIPTION',
+  SET_SUBSCRIPTION_COUNTS: 'SET_SUBSCRIPTION_COUNTS',
+  MARK_SUBSCRIPTION_VIEWED: 'MARK_SUBSCRIPTION_VIEWED',
   LOAD_PERSISTED_DATA: 'LOAD_PERSISTED_DATA'
 }
 
-// 筛选逻辑函数
-function applyFiltersToJobs(jobs, filters) {
-  let filtered = [...jobs]
-  
-  if (filters.location) {
-    filtered = filtered.filter(job => job.location.includes(filters.location))
-  }
-  
-  if (filters.district) {
-    filtered = filtered.filter(job => job.location.includes(filters.district))
-  }
-  
-  if (filters.keyword) {
-    const keyword = filters.keyword.toLowerCase()
-    filtered = filtered.filter(job =>
-      job.title.toLowerCase().includes(keyword) ||
-      job.company.toLowerCase().includes(keyword) ||
-      job.tags.some(tag => tag.toLowerCase().includes(keyword))
-    )
-  }
-  
-  return filtered
+// 合并职位到缓存，按 id 去重
+function mergeJobs(jobs, incoming) {
+  const incomingIds = new Set(incoming.map(job => job.id))
+  return [...jobs.filter(job => !incomingIds.has(job.id)), ...incoming]
 }
 
 // Reducer
 function jobReducer(state, action) {
   switch (action.type) {
     case ACTIONS.SET_FILTERS:
-      const newFilters = { ...state.filters, ...action.payload }
-      const filteredJobs = applyFiltersToJobs(state.jobs, newFilters)
+      // 筛选条件变化后从第一页重新加载
       return {
         ...state,
-        filters: newFilters,
-        filteredJobs
+        filters: { ...state.filters, ...action.payload },
+        filteredJobs: [],
+        pagination: initialPagination,
+        loadMoreError: ''
       }
       
     case ACTIONS.RESET_FILTERS:
       return {
         ...state,
-        filters: { location: '', district: '', keyword: '' },
-        filteredJobs: state.jobs
+        filters: defaultFilters,
+        filteredJobs: [],
+        pagination: initialPagination,
+        loadMoreError: ''
       }
-      
-    case ACTIONS.APPLY_FILTERS:
+
+    case ACTIONS.FETCH_JOBS_START:
+      return action.payload.reset
+        ? { ...state, listLoading: true, listError: '', loadingMore: false, loadMoreError: '' }
+        : { ...state, loadingMore: true, loadMoreError: '' }
+
+    case ACTIONS.FETCH_JOBS_SUCCESS:
+      const { list, pagination, reset } = action.payload
       return {
         ...state,
-        filteredJobs: applyFiltersToJobs(state.jobs, state.filters)
+        jobs: mergeJobs(state.jobs, list),
+        filteredJobs: reset ? list : mergeJobs(state.filteredJobs, list),
+        pagination: { ...state.pagination, ...pagination },
+        listLoading: false,
+        loadingMore: false
       }
+
+    case ACTIONS.FETCH_JOBS_FAILURE:
+      return action.payload.reset
+        ? { ...state, listLoading: false, listError: action.payload.message }
+        : { ...state, loadingMore: false, loadMoreError: action.payload.message }
       
     case ACTIONS.PUBLISH_JOB:
-      const newJob = {
-        id: Date.now().toString(),
-        ...action.payload,
-        publishTime: new Date().toISOString(),
-        publishDate: new Date().toDateString()
-      }
+      // 新职位通常还在审核中，只进入我的发布，审核通过后才出现在公开列表
+      const newJob = action.payload
+      const showInList = isJobPublished(newJob) && applyFiltersToJobs([newJob], state.filters).length > 0
       return {
         ...state,
-        jobs: [newJob, ...state.jobs],
-        filteredJobs: [newJob, ...state.filteredJobs],
+        jobs: isJobPublished(newJob) ? [newJob, ...state.jobs] : state.jobs,
+        filteredJobs: showInList ? [newJob, ...state.filteredJobs] : state.filteredJobs,
+        myJobs: [newJob, ...state.myJobs],
+        // 保存草稿也走这里，草稿不占发布次数，不计入发布数
         userInfo: {
           ...state.userInfo,
-          publishCount: state.userInfo.publishCount + 1
+          publishCount: state.userInfo.publishCount + (getJobStatus(newJob) === JOB_STATUS.DRAFT ? 0 : 1)
         }
       }
       
-    case ACTIONS.UNLOCK_DATE:
+    case ACTIONS.SET_UNLOCK_STATUS:
       return {
         ...state,
-        unlockedDates: {
-          ...state.unlockedDates,
-          [action.payload]: true
-        }
+        pendingUnlockDates: toDateMap(action.payload.pendingDates),
+        invitedCount: action.payload.invitedCount || 0
+      }
+
+    case ACTIONS.RECORD_POINTS:
+      return {
+        ...state,
+        points: { ...state.points, pending: [...state.points.pending, action.payload] }
+      }
+
+    case ACTIONS.SET_MEMBERSHIP:
+      return {
+        ...state,
+        membership: action.payload.membership,
+        membershipPlans: action.payload.plans || state.membershipPlans
+      }
+
+    case ACTIONS.SET_UNLOCK_POLICY:
+      return {
+        ...state,
+        unlockPolicy: normalizeUnlockPolicy(action.payload)
+      }
+
+    case ACTIONS.SET_POINTS_ACCOUNT:
+      return {
+        ...state,
+        points: applyPointsAccount(
+          state.points,
+          action.payload.account,
+          action.payload.settledIds,
+          action.payload.legacyUploaded
+        )
       }
       
-    case ACTIONS.REFRESH_JOBS:
+    case ACTIONS.RECEIVE_JOB:
+      // 职位详情或状态变化：更新各处缓存，非发布状态的职位移出公开列表
+      const receivedJob = action.payload
+      const replaceJob = job => job.id === receivedJob.id ? receivedJob : job
+      const isPublished = isJobPublished(receivedJob)
       return {
         ...state,
-        jobs: mockJobs,
-        filteredJobs: applyFiltersToJobs(mockJobs, state.filters)
+        jobs: mergeJobs(state.jobs, [receivedJob]),
+        filteredJobs: isPublished
+          ? state.filteredJobs.map(replaceJob)
+          : state.filteredJobs.filter(job => job.id !== receivedJob.id),
+        myJobs: state.myJobs.map(replaceJob),
+        favorites: state.favorites.map(item => item.jobId === receivedJob.id
+          ? { ...item, job: receivedJob, offline: isTakenDownStatus(receivedJob.status) }
+          : item
+        )
+      }
+      
+    case ACTIONS.ADD_SEARCH_HISTORY:
+      return {
+        ...state,
+        searchHistory: addSearchHistory(state.searchHistory, action.payload)
+      }
+
+    case ACTIONS.CLEAR_SEARCH_HISTORY:
+      return {
+        ...state,
+        searchHistory: []
+      }
+      
+    case ACTIONS.SET_USER_INFO:
+      return {
+        ...state,
+        userInfo: { ...state.userInfo, ...action.payload }
+      }
+
+    case ACTIONS.FETCH_MY_JOBS_SUCCESS:
+      return {
+        ...state,
+        myJobs: action.payload
+      }
+
+    case ACTIONS.SET_PUBLISH_QUOTA:
+      return {
+        ...state,
+        publishQuota: action.payload
+      }
+
+    case ACTIONS.START_EDIT_JOB:
+      return {
+        ...state,
+        editingJob: action.payload
+      }
+
+    case ACTIONS.CANCEL_EDIT_JOB:
+      return {
+        ...state,
+        editingJob: null
+      }
+
+    case ACTIONS.SAVE_FORM_DRAFT:
+      return {
+        ...state,
+        formDrafts: upsertDraft(state.formDrafts, action.payload)
+      }
+
+    case ACTIONS.REMOVE_FORM_DRAFT:
+      return {
+        ...state,
+        formDrafts: state.formDrafts.filter(draft => draft.id !== action.payload)
+      }
+
+    case ACTIONS.SAVE_PUBLISH_TEMPLATE:
+      return {
+        ...state,
+        publishTemplates: upsertTemplate(state.publishTemplates, action.payload)
+      }
+
+    case ACTIONS.REMOVE_PUBLISH_TEMPLATE:
+      return {
+        ...state,
+        publishTemplates: state.publishTemplates.filter(template => template.id !== action.payload)
+      }
+
+    case ACTIONS.ADD_FAVORITE:
+      return {
+        ...state,
+        favorites: [action.payload, ...state.favorites.filter(item => item.jobId !== action.payload.jobId)]
+      }
+
+    case ACTIONS.REMOVE_FAVORITE:
+      return {
+        ...state,
+        favorites: state.favorites.filter(item => item.jobId !== action.payload)
+      }
+
+    case ACTIONS.MERGE_FAVORITES:
+      // 服务端有、本地没有的收藏，按收藏时间倒序合并
+      const localIds = new Set(state.favorites.map(item => item.jobId))
+      return {
+        ...state,
+        favorites: [...state.favorites, ...action.payload.filter(item => !localIds.has(item.jobId))]
+          .sort((a, b) => b.favoritedAt - a.favoritedAt)
+      }
+
+    case ACTIONS.SET_FAVORITE_STATUSES:
+      return {
+        ...state,
+        favorites: state.favorites.map(item => item.jobId in action.payload
+          ? { ...item, offline: isTakenDownStatus(action.payload[item.jobId]) }
+          : item
+        )
+      }
+
+    case ACTIONS.RECORD_VIEW:
+      // 同一职位只保留最近一次浏览
+      return {
+        ...state,
+        viewHistory: [
+          action.payload,
+          ...state.viewHistory.filter(item => item.jobId !== action.payload.jobId)
+        ].slice(0, MAX_VIEW_HISTORY)
+      }
+
+    case ACTIONS.REMOVE_VIEW:
+      return {
+        ...state,
+        viewHistory: state.viewHistory.filter(item => item.jobId !== action.payload)
+      }
+
+    case ACTIONS.CLEAR_VIEW_HISTORY:
+      return {
+        ...state,
+        viewHistory: []
+      }
+
+    case ACTIONS.ADD_SUBSCRIPTION:
+      return {
+        ...state,
+        subscriptions: [action.payload, ...state.subscriptions]
+      }
+
+    case ACTIONS.REMOVE_SUBSCRIPTION:
+      return {
+        ...state,
+        subscriptions: state.subscriptions.filter(item => item.id !== action.payload)
+      }
+
+    case ACTIONS.SET_SUBSCRIPTION_COUNTS:
+      // 计数期间已查看过的订阅不再覆盖
+      return {
+        ...state,
+        subscriptions: state.subscriptions.map(item => {
+          const result = action.payload[item.id]
+          return result && result.since === item.lastViewedAt
+            ? { ...item, newCount: result.count }
+            : item
+        })
+      }
+
+    case ACTIONS.MARK_SUBSCRIPTION_VIEWED:
+      return {
+        ...state,
+        subscriptions: state.subscriptions.map(item => item.id === action.payload
+          ? { ...item, lastViewedAt: Date.now(), newCount: 0 }
+          : item
+        )
       }
       
     case ACTIONS.LOAD_PERSISTED_DATA:
@@ -199,19 +458,45 @@ const JobContext = createContext()
 // Provider 组件
 export const JobProvider = ({ children }) => {
   const [state, dispatch] = useReducer(jobReducer, initialState)
+  // 异步回调中读取最新状态
+  const stateRef = useRef(state)
+  stateRef.current = state
+  // 丢弃筛选条件变化前发出的过期请求
+  const requestIdRef = useRef(0)
+  const loadingMoreRef = useRef(false)
+  // 进行中的登录，同时发起的请求共用一次登录
+  const loginRef = useRef(null)
   
-  // 从本地存储加载数据
+  // 从本地存储加载数据，并按保存的筛选条件加载职位列表
   useEffect(() => {
+    let savedFilters = defaultFilters
+    let savedSubscriptions = []
+    let savedFavorites = []
     try {
       const savedData = Taro.getStorageSync('job-storage')
       if (savedData) {
         const parsedData = JSON.parse(savedData)
         if (parsedData.state) {
+          savedFilters = { ...defaultFilters, ...parsedData.state.filters }
+          // 旧版本用 0 表示薪资不限上限
+          savedFilters.salaryMax = savedFilters.salaryMax || null
+          savedSubscriptions = parsedData.state.subscriptions || []
+          savedFavorites = parsedData.state.favorites || []
           dispatch({
             type: ACTIONS.LOAD_PERSISTED_DATA,
             payload: {
-              unlockedDates: parsedData.state.unlockedDates || {},
-              userInfo: parsedData.state.userInfo || state.userInfo
+              // 积分系统上线前分享解锁的日期（unlockedDates）迁移为按天解锁的权益
+              points: normalizePointsLedger(parsedData.state.points, parsedData.state.unlockedDates),
+              membership: parsedData.state.membership || null,
+              unlockPolicy: normalizeUnlockPolicy(parsedData.state.unlockPolicy),
+              favorites: savedFavorites,
+              viewHistory: parsedData.state.viewHistory || [],
+              searchHistory: parsedData.state.searchHistory || [],
+              subscriptions: savedSubscriptions,
+              formDrafts: parsedData.state.formDrafts || [],
+              publishTemplates: parsedData.state.publishTemplates || [],
+              userInfo: parsedData.state.userInfo || state.userInfo,
+              filters: savedFilters
             }
           })
         }
@@ -219,6 +504,27 @@ export const JobProvider = ({ children }) => {
     } catch (error) {
       console.error('加载持久化数据失败:', error)
     }
+
+    loadJobs(savedFilters, true).catch(error => {
+      console.error('加载职位列表失败:', error)
+    })
+    loadSubscriptionCounts(savedSubscriptions)
+    loadUnlockPolicy()
+    ensureLogin()
+      .then(() => Promise.all([syncFavorites(savedFavorites), loadMyJobs(), syncUnlockStatus(), syncPoints(), syncMembership()]))
+      .catch(error => {
+        console.error('登录或同步用户数据失败:', error)
+      })
+
+    // 网络恢复后提交离线时记的积分流水
+    const handleNetworkChange = ({ isConnected }) => {
+      if (!isConnected) return
+      syncPoints().catch(error => {
+        console.error('同步积分失败:', error)
+      })
+    }
+    Taro.onNetworkStatusChange(handleNetworkChange)
+    return () => Taro.offNetworkStatusChange(handleNetworkChange)
   }, [])
   
   // 持久化重要数据
@@ -226,8 +532,17 @@ export const JobProvider = ({ children }) => {
     try {
       const dataToSave = {
         state: {
-          unlockedDates: state.unlockedDates,
-          userInfo: state.userInfo
+          points: state.points,
+          membership: state.membership,
+          unlockPolicy: state.unlockPolicy,
+          favorites: state.favorites,
+          viewHistory: state.viewHistory,
+          searchHistory: state.searchHistory,
+          subscriptions: state.subscriptions,
+          formDrafts: state.formDrafts,
+          publishTemplates: state.publishTemplates,
+          userInfo: state.userInfo,
+          filters: state.filters
         },
         version: 0
       }
@@ -235,81 +550,564 @@ export const JobProvider = ({ children }) => {
     } catch (error) {
       console.error('保存持久化数据失败:', error)
     }
-  }, [state.unlockedDates, state.userInfo])
-  
+  }, [state.points, state.membership, state.unlockPolicy, state.favorites, state.viewHistory, state.searchHistory, state.subscriptions, state.formDrafts, state.publishTemplates, state.userInfo, state.filters])
+
+  // 会员到期时刷新锁定状态，并向服务端确认是否已在别处续费
+  useEffect(() => {
+    const { membership } = state
+    if (!isMembershipActive(membership)) return
+    const delay = Math.min(new Date(membership.expireTime).getTime() - Date.now(), MAX_TIMER_DELAY)
+    const timer = setTimeout(() => {
+      // 换一个引用让依赖会员状态的页面重新渲染，未到期时会重新计时
+      dispatch({ type: ACTIONS.SET_MEMBERSHIP, payload: { membership: { ...membership } } })
+      if (isMembershipActive(membership)) return
+      Taro.showToast({
+        title: '会员已到期',
+        icon: 'none'
+      })
+      syncMembership().catch(error => {
+        console.error('同步会员状态失败:', error)
+      })
+    }, delay)
+    return () => clearTimeout(timer)
+  }, [state.membership])
+
+  // 加载职位列表，reset 为 true 时从第一页开始
+  const loadJobs = async (filters, reset) => {
+    const { pagination, listLoading } = stateRef.current
+    // 第一页还没回来时不加载下一页
+    if (!reset && (loadingMoreRef.current || listLoading || pagination.page === 0 || !pagination.hasMore)) return
+
+    if (reset) {
+      requestIdRef.current += 1
+    }
+    const requestId = requestIdRef.current
+    const page = reset ? 1 : pagination.page + 1
+    loadingMoreRef.current = !reset
+
+    dispatch({ type: ACTIONS.FETCH_JOBS_START, payload: { reset } })
+    try {
+      const data = await fetchJobs(buildJobQuery(filters, page, pagination.size))
+      if (requestId !== requestIdRef.current) return
+      dispatch({
+        type: ACTIONS.FETCH_JOBS_SUCCESS,
+        payload: { list: data.list, pagination: data.pagination, reset }
+      })
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return
+      dispatch({
+        type: ACTIONS.FETCH_JOBS_FAILURE,
+        payload: { reset, message: error.message }
+      })
+      throw error
+    } finally {
+      if (!reset) {
+        loadingMoreRef.current = false
+      }
+    }
+  }
+
+  // 统计每个订阅自上次查看以来的新职位数
+  const loadSubscriptionCounts = async (subscriptions) => {
+    if (subscriptions.length === 0) return
+    const results = await Promise.all(subscriptions.map(async (item) => {
+      const since = item.lastViewedAt
+      try {
+        const data = await fetchJobs(buildJobQuery({ ...item.filters, since }, 1, 1))
+        return { id: item.id, since, count: data.pagination.total }
+      } catch (error) {
+        console.error('统计订阅新职位失败:', error)
+        return null
+      }
+    }))
+    const counts = results.filter(Boolean).reduce((result, { id, since, count }) => {
+      result[id] = { since, count }
+      return result
+    }, {})
+    dispatch({ type: ACTIONS.SET_SUBSCRIPTION_COUNTS, payload: counts })
+  }
+
+  // 没有登录凭证时用微信 code 静默登录；冷启动时多处同时调用，只登录一次，邀请信息也只提交一次
+  const ensureLogin = () => {
+    if (isLoggedIn()) return Promise.resolve()
+    if (!loginRef.current) {
+      loginRef.current = (async () => {
+        const { code } = await Taro.login()
+        const { token, userInfo } = await loginWithWechat(code, getLaunchReferral())
+        setToken(token)
+        dispatch({ type: ACTIONS.SET_USER_INFO, payload: { id: userInfo.id } })
+      })().finally(() => {
+        loginRef.current = null
+      })
+    }
+    return loginRef.current
+  }
+
+  const loadMyJobs = async () => {
+    await ensureLogin()
+    const [list, quota] = await Promise.all([fetchMyJobs(), fetchPublishQuota()])
+    dispatch({ type: ACTIONS.FETCH_MY_JOBS_SUCCESS, payload: list })
+    dispatch({ type: ACTIONS.SET_PUBLISH_QUOTA, payload: quota })
+  }
+
+  // 从服务端同步解锁状态
+  const syncUnlockStatus = async () => {
+    await ensureLogin()
+    const status = await fetchUnlockStatus()
+    dispatch({ type: ACTIONS.SET_UNLOCK_STATUS, payload: status })
+    return status
+  }
+
+  // 从服务端同步会员状态和套餐
+  const syncMembership = async () => {
+    await ensureLogin()
+    const { membership, plans } = await fetchMembership()
+    dispatch({ type: ACTIONS.SET_MEMBERSHIP, payload: { membership, plans } })
+    return membership
+  }
+
+  // 加载远程配置的解锁策略，失败时沿用上次保存的或默认策略
+  const loadUnlockPolicy = () => {
+    fetchUnlockPolicy()
+      .then(policy => dispatch({ type: ACTIONS.SET_UNLOCK_POLICY, payload: policy }))
+      .catch(error => {
+        console.error('加载解锁策略失败:', error)
+      })
+  }
+
+  // 提交待同步的积分流水和本地的旧解锁日期，并用服务端账户覆盖本地账本
+  // 离线时请求失败，流水留在本地等下次同步；被服务端拒绝的流水丢弃并提示
+  const syncPoints = async (pending = stateRef.current.points.pending) => {
+    await ensureLogin()
+    const legacyDays = getLegacyDays(stateRef.current.points)
+    if (pending.length === 0 && legacyDays.length === 0) {
+      const account = await fetchPointsAccount()
+      dispatch({ type: ACTIONS.SET_POINTS_ACCOUNT, payload: { account, settledIds: [] } })
+      return account
+    }
+    const { accepted, rejected, account } = await syncPointsTransactions(pending, legacyDays)
+    dispatch({
+      type: ACTIONS.SET_POINTS_ACCOUNT,
+      payload: {
+        account,
+        settledIds: [...accepted, ...rejected.map(item => item.clientId)],
+        legacyUploaded: legacyDays.length > 0
+      }
+    })
+    if (rejected.length > 0) {
+      Taro.showToast({
+        title: rejected[0].message || '部分积分记录同步失败',
+        icon: 'none'
+      })
+    }
+    return account
+  }
+
+  // 本地记一笔积分流水，先用本地账户校验，再在后台同步
+  const recordPoints = (type, extra) => {
+    const { points, unlockPolicy } = stateRef.current
+    const transaction = createPointsTransaction(type, points.rules, extra)
+    const error = validatePointsTransaction(transaction, getLocalAccount(points), points.rules, unlockPolicy)
+    if (error) {
+      throw new RequestError(error.code, error.message)
+    }
+    dispatch({ type: ACTIONS.RECORD_POINTS, payload: transaction })
+    syncPoints([...points.pending, transaction]).catch(error => {
+      console.error('同步积分失败:', error)
+    })
+    return transaction
+  }
+
+  // 发布成功后同步剩余次数
+  const reloadPublishQuota = () => {
+    fetchPublishQuota()
+      .then(quota => dispatch({ type: ACTIONS.SET_PUBLISH_QUOTA, payload: quota }))
+      .catch(error => {
+        console.error('加载发布次数失败:', error)
+      })
+  }
+
+  // 发布前在本地先检查每日次数和重复内容，规则与服务端一致，不通过时抛出对应错误码
+  const checkPublishRules = (job, { countQuota = true } = {}) => {
+    const { publishQuota, myJobs } = stateRef.current
+    if (countQuota && getRemainingPublishes(publishQuota) === 0) {
+      throw new RequestError(
+        ERROR_CODES.PUBLISH_LIMIT_EXCEEDED,
+        `每天最多发布${publishQuota.limit}条职位，请明天再来`
+      )
+    }
+    const duplicate = findDuplicateJob(job, myJobs)
+    if (duplicate && duplicate.level === 'duplicate') {
+      throw new RequestError(ERROR_CODES.DUPLICATE_JOB, getDuplicateMessage(duplicate), {
+        id: duplicate.job.id,
+        title: duplicate.job.title
+      })
+    }
+  }
+
+  // 登录后与服务端收藏双向合并：本地独有的上传，服务端独有的拉取，返回拉取到的收藏
+  const syncFavorites = async (localFavorites = stateRef.current.favorites) => {
+    if (!isLoggedIn()) return []
+    const remote = await fetchFavorites()
+    const remoteIds = new Set(remote.map(item => item.jobId))
+    localFavorites
+      .filter(item => !remoteIds.has(item.jobId))
+      .forEach(item => {
+        addFavorite(item.jobId).catch(error => {
+          console.error('上传收藏失败:', error)
+        })
+      })
+    const pulled = remote
+      .filter(item => item.job)
+      .map(item => ({
+        jobId: item.jobId,
+        job: item.job,
+        favoritedAt: new Date(item.favoriteTime).getTime(),
+        offline: isTakenDownStatus(item.job.status)
+      }))
+    dispatch({ type: ACTIONS.MERGE_FAVORITES, payload: pulled })
+    return pulled
+  }
+
+  const pointsAccount = getLocalAccount(state.points)
+
   // Actions
   const actions = {
     setFilters: (filters) => {
+      const newFilters = { ...stateRef.current.filters, ...filters }
       dispatch({ type: ACTIONS.SET_FILTERS, payload: filters })
+      loadJobs(newFilters, true).catch(error => {
+        console.error('筛选职位失败:', error)
+      })
     },
     
     resetFilters: () => {
       dispatch({ type: ACTIONS.RESET_FILTERS })
+      loadJobs(defaultFilters, true).catch(error => {
+        console.error('筛选职位失败:', error)
+      })
     },
     
-    applyFilters: () => {
-      dispatch({ type: ACTIONS.APPLY_FILTERS })
+    publishJob: async (jobData) => {
+      await ensureLogin()
+      checkPublishRules(jobData)
+      const { job } = await createJob(jobData)
+      dispatch({ type: ACTIONS.PUBLISH_JOB, payload: job })
+      reloadPublishQuota()
+      return job.id
     },
-    
-    publishJob: (jobData) => {
-      dispatch({ type: ACTIONS.PUBLISH_JOB, payload: jobData })
-      return Date.now().toString()
+
+    // 保存为草稿，不进入审核
+    saveJobDraft: async (jobData) => {
+      await ensureLogin()
+      const { job } = await createJob({ ...jobData, draft: true })
+      dispatch({ type: ACTIONS.PUBLISH_JOB, payload: job })
+      return job
     },
-    
-    unlockDate: (date) => {
-      dispatch({ type: ACTIONS.UNLOCK_DATE, payload: date })
+
+    // 上传职位图片，返回图片地址
+    uploadJobImage: async (filePath, onProgress) => {
+      await ensureLogin()
+      return uploadImage(filePath, onProgress)
     },
-    
-    refreshJobs: async () => {
-      return new Promise(resolve => {
-        setTimeout(() => {
-          dispatch({ type: ACTIONS.REFRESH_JOBS })
-          resolve()
-        }, 1000)
+
+    // 获取分享海报上的小程序码
+    // 生成海报同时登记一次分享
+    createSharePoster: async (jobId, template) => {
+      await ensureLogin()
+      const poster = await createPoster(jobId, template)
+      syncUnlockStatus().catch(error => {
+        console.error('同步解锁状态失败:', error)
       })
+      return poster
     },
-    
-    // 辅助函数
-    getTodayJobs: () => {
-      const today = new Date().toDateString()
-      return state.jobs.filter(job => job.publishDate === today)
+
+    // 草稿提交审核，刚保存过的草稿由调用方传入保存后的职位，stateRef 要到下次渲染才会更新
+    submitJob: async (jobId, savedJob) => {
+      await ensureLogin()
+      const draft = savedJob || stateRef.current.myJobs.find(item => item.id === jobId)
+      if (draft) checkPublishRules(draft)
+      const job = await submitJob(jobId)
+      dispatch({ type: ACTIONS.RECEIVE_JOB, payload: job })
+      // 草稿保存时没有计入发布数，提交时再计入
+      if (draft && getJobStatus(draft) === JOB_STATUS.DRAFT) {
+        dispatch({ type: ACTIONS.SET_USER_INFO, payload: { publishCount: stateRef.current.userInfo.publishCount + 1 } })
+      }
+      reloadPublishQuota()
+      return job
     },
     
-    isDateUnlocked: (date) => {
-      const today = new Date().toDateString()
-      return date === today || state.unlockedDates[date] || false
+    addSearchHistory: (keyword) => {
+      dispatch({ type: ACTIONS.ADD_SEARCH_HISTORY, payload: keyword })
+    },
+
+    clearSearchHistory: () => {
+      dispatch({ type: ACTIONS.CLEAR_SEARCH_HISTORY })
     },
     
-    getJobById: (id) => {
-      return state.jobs.find(job => job.id === id)
+    isFavorite: (jobId) => {
+      return state.favorites.some(item => item.jobId === jobId)
+    },
+
+    // 切换收藏状态，登录后同步到服务端，返回切换后是否已收藏
+    toggleFavorite: (job) => {
+      const favorited = stateRef.current.favorites.some(item => item.jobId === job.id)
+      if (favorited) {
+        dispatch({ type: ACTIONS.REMOVE_FAVORITE, payload: job.id })
+      } else {
+        dispatch({
+          type: ACTIONS.ADD_FAVORITE,
+          payload: { jobId: job.id, job, favoritedAt: Date.now(), offline: false }
+        })
+      }
+
+      if (isLoggedIn()) {
+        const sync = favorited ? removeFavorite(job.id) : addFavorite(job.id)
+        sync.catch(error => {
+          console.error('同步收藏失败:', error)
+        })
+      }
+      return !favorited
+    },
+
+    // 同步服务端收藏，并标记已下架的职位
+    refreshFavorites: async () => {
+      const pulled = await syncFavorites()
+      const jobIds = [...new Set([...stateRef.current.favorites, ...pulled].map(item => item.jobId))]
+      if (jobIds.length === 0) return
+      const statuses = await fetchJobStatuses(jobIds)
+      dispatch({ type: ACTIONS.SET_FAVORITE_STATUSES, payload: statuses })
+    },
+
+    // 记录浏览，job 快照用于列表展示，解锁状态按发布日期实时计算
+    recordView: (job) => {
+      dispatch({
+        type: ACTIONS.RECORD_VIEW,
+        payload: { jobId: job.id, job, viewedAt: Date.now() }
+      })
+    },
+
+    removeView: (jobId) => {
+      dispatch({ type: ACTIONS.REMOVE_VIEW, payload: jobId })
+    },
+
+    clearViewHistory: () => {
+      dispatch({ type: ACTIONS.CLEAR_VIEW_HISTORY })
+    },
+
+    // 把当前筛选条件保存为订阅，并请求新职位提醒授权
+    saveSubscription: async (name) => {
+      const filters = pickSubscriptionFilters(stateRef.current.filters)
+      const notify = await requestJobAlert()
+      await ensureLogin()
+      const saved = await createSubscription({ name, filters, notify })
+      const subscription = {
+        id: saved.id,
+        name,
+        filters,
+        notify,
+        lastViewedAt: Date.now(),
+        newCount: 0
+      }
+      dispatch({ type: ACTIONS.ADD_SUBSCRIPTION, payload: subscription })
+      return subscription
+    },
+
+    refreshSubscriptionCounts: () => {
+      loadSubscriptionCounts(stateRef.current.subscriptions)
+    },
+
+    removeSubscription: (id) => {
+      dispatch({ type: ACTIONS.REMOVE_SUBSCRIPTION, payload: id })
+      ensureLogin().then(() => deleteSubscription(id)).catch(error => {
+        console.error('删除订阅失败:', error)
+      })
+    },
+
+    // 按订阅的条件筛选职位，并清零新职位数
+    openSubscription: (id) => {
+      const subscription = stateRef.current.subscriptions.find(item => item.id === id)
+      if (!subscription) return
+      dispatch({ type: ACTIONS.MARK_SUBSCRIPTION_VIEWED, payload: id })
+      actions.setFilters({ ...pickSubscriptionFilters(defaultFilters), ...subscription.filters })
     },
     
-    getUserJobs: () => {
-      const userPhone = state.userInfo.phone
-      return state.jobs.filter(job => job.contact.includes(userPhone.slice(3, 7)))
+    refreshJobs: async () => {
+      loadSubscriptionCounts(stateRef.current.subscriptions)
+      await loadJobs(stateRef.current.filters, true)
     },
+
+    loadMoreJobs: async () => {
+      try {
+        await loadJobs(stateRef.current.filters, false)
+      } catch (error) {
+        console.error('加载更多职位失败:', error)
+      }
+    },
+    
+    // 职位的查看权限 { unlocked, reason }，所有锁定判断都按解锁策略进行
+    getJobAccess: (job) => getJobAccess(state.unlockPolicy, job, {
+      userId: state.userInfo.id,
+      membership: state.membership,
+      entitlements: pointsAccount.entitlements
+    }),
+
+    isJobUnlocked: (job) => actions.getJobAccess(job).unlocked,
     
-    shareJob: async (jobId) => {
+    // 打开详情页时传 countView，页面内的重新获取不计浏览
+    getJobById: async (id, options) => {
       try {
-        const job = state.jobs.find(job => job.id === jobId)
-        if (!job) return false
-        
-        actions.unlockDate(job.publishDate)
-        
-        Taro.showToast({
-          title: '分享成功，已解锁历史内容',
-          icon: 'success'
-        })
-        
-        return true
+        const job = await fetchJobDetail(id, options)
+        dispatch({ type: ACTIONS.RECEIVE_JOB, payload: job })
+        return job
       } catch (error) {
-        console.error('分享失败:', error)
-        Taro.showToast({
-          title: '分享失败，请重试',
-          icon: 'error'
-        })
-        return false
+        if (error.code === ERROR_CODES.JOB_NOT_FOUND) {
+          return null
+        }
+        throw error
+      }
+    },
+    
+    loadMyJobs,
+
+    // 进入发布页编辑模式
+    startEditJob: (job) => {
+      dispatch({ type: ACTIONS.START_EDIT_JOB, payload: job })
+    },
+
+    cancelEditJob: () => {
+      dispatch({ type: ACTIONS.CANCEL_EDIT_JOB })
+    },
+
+    // 保存发布表单草稿（新增或按 id 覆盖）
+    saveFormDraft: (draft) => {
+      dispatch({ type: ACTIONS.SAVE_FORM_DRAFT, payload: draft })
+    },
+
+    removeFormDraft: (draftId) => {
+      dispatch({ type: ACTIONS.REMOVE_FORM_DRAFT, payload: draftId })
+    },
+
+    // 把发布表单保存为模板，同名模板会被覆盖
+    savePublishTemplate: (name, formData) => {
+      dispatch({
+        type: ACTIONS.SAVE_PUBLISH_TEMPLATE,
+        payload: { id: createTemplateId(), name, formData, updatedAt: Date.now() }
+      })
+    },
+
+    removePublishTemplate: (templateId) => {
+      dispatch({ type: ACTIONS.REMOVE_PUBLISH_TEMPLATE, payload: templateId })
+    },
+
+    // 编辑不占用发布次数，草稿之外的职位不能改成与其他职位重复
+    // submit 为保存后立即提交审核的草稿，按提交的规则检查合并后的内容，不通过时不保存
+    updateJob: async (jobId, jobData, { submit = false } = {}) => {
+      await ensureLogin()
+      const current = stateRef.current.myJobs.find(item => item.id === jobId)
+      const isDraft = current && getJobStatus(current) === JOB_STATUS.DRAFT
+      if (current && (!isDraft || submit)) {
+        checkPublishRules({ ...current, ...jobData }, { countQuota: isDraft })
       }
+      const job = await updateJob(jobId, jobData)
+      dispatch({ type: ACTIONS.RECEIVE_JOB, payload: job })
+      return job
+    },
+
+    takeJobOffline: async (jobId) => {
+      await ensureLogin()
+      const job = await takeJobOffline(jobId)
+      dispatch({ type: ACTIONS.RECEIVE_JOB, payload: job })
+      return job
+    },
+
+    // 重新发布和刷新会改变职位在最新列表中的位置，完成后重新加载列表
+    repostJob: async (jobId) => {
+      await ensureLogin()
+      const current = stateRef.current.myJobs.find(item => item.id === jobId)
+      if (current) checkPublishRules(current)
+      const job = await repostJob(jobId)
+      dispatch({ type: ACTIONS.RECEIVE_JOB, payload: job })
+      reloadPublishQuota()
+      loadJobs(stateRef.current.filters, true).catch(error => {
+        console.error('加载职位列表失败:', error)
+      })
+      return job
+    },
+
+    refreshJobToTop: async (jobId) => {
+      await ensureLogin()
+      const job = await refreshJob(jobId)
+      dispatch({ type: ACTIONS.RECEIVE_JOB, payload: job })
+      loadJobs(stateRef.current.filters, true).catch(error => {
+        console.error('加载职位列表失败:', error)
+      })
+      return job
+    },
+    
+    // 分享职位：同步返回分享ID供分享路径使用，登记请求在后台完成
+    // 好友打开分享后服务端才确认解锁，recorded 失败（如超出每日分享次数）时由页面提示
+    shareJob: (job, shareType) => {
+      const shareId = createShareId()
+      const recorded = ensureLogin()
+        .then(() => recordShare({
+          shareId,
+          jobId: job.id,
+          shareType,
+          shareDate: toShareDate(job.publishDate)
+        }))
+        .then(() => syncUnlockStatus())
+      return { shareId, recorded }
+    },
+
+    // 从别人的分享打开职位时确认分享，群聊分享带上 shareTicket
+    openSharedJob: async (shareId) => {
+      await ensureLogin()
+      return openShare(shareId, getShareTicket())
+    },
+
+    syncUnlockStatus,
+
+    syncPoints: () => syncPoints(),
+
+    // 本地视角的积分账户（含待同步的流水）
+    getPointsAccount: () => pointsAccount,
+
+    hasCheckedInToday: () => hasCheckedIn(pointsAccount),
+
+    // 每日签到，离线也可以签到
+    checkIn: () => recordPoints(POINTS_TYPES.CHECK_IN),
+
+    // 用积分解锁某一天发布的全部职位
+    unlockDay: (date) => recordPoints(POINTS_TYPES.UNLOCK_DAY, { date }),
+
+    // 用积分解锁单个职位
+    unlockJob: (job) => recordPoints(POINTS_TYPES.UNLOCK_JOB, { jobId: job.id }),
+
+    syncMembership,
+
+    isMember: () => isMembershipActive(state.membership),
+
+    // 购买会员：下单 -> 支付 -> 轮询订单，服务端收到支付通知后订单才算支付成功
+    // 返回开通后的会员；轮询结束仍未确认时返回 null，之后同步会员状态时再更新
+    purchaseMembership: async (planKey) => {
+      await ensureLogin()
+      const order = await createMembershipOrder(planKey)
+      await requestPayment(order, { settle: () => notifyFakePayment(order.orderId) })
+      for (let times = 0; times < ORDER_POLL_TIMES; times += 1) {
+        const result = await fetchMembershipOrder(order.orderId)
+        if (result.status === ORDER_STATUS.PAID) {
+          dispatch({ type: ACTIONS.SET_MEMBERSHIP, payload: { membership: result.membership } })
+          return result.membership
+        }
+        await sleep(ORDER_POLL_INTERVAL)
+      }
+      return null
+    },
+
+    // 已分享、等待好友打开确认
+    isDatePending: (date) => {
+      return Boolean(state.pendingUnlockDates[toShareDate(date)])
     }
   }
   
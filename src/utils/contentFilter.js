@@ -0,0 +1,140 @@
+// 发布内容安全检查：违禁词、藏在正文里的联系方式、收费诈骗话术
+// 发布表单实时提示与服务端审核共用同一套规则
+
+// 需要检查的字段，联系方式字段本身只校验手机号格式
+export const SCREEN_FIELDS = [
+  { key: 'title', label: '职位名称' },
+  { key: 'company', label: '公司名称' },
+  { key: 'description', label: '职位描述' },
+  { key: 'requirements', label: '任职要求' },
+  { key: 'benefits', label: '福利待遇' },
+  { key: 'tags', label: '技能标签' },
+  { key: 'contactName', label: '联系人' },
+  { key: 'address', label: '工作地点' }
+]
+
+// 违禁词
+export const BANNED_WORDS = [
+  '赌博',
+  '博彩',
+  '网赌',
+  '六合彩',
+  '色情',
+  '裸聊',
+  '代孕',
+  '毒品',
+  '枪支',
+  '办证',
+  '刷单',
+  '套现',
+  '洗钱',
+  '传销',
+  '高利贷'
+]
+
+// 诈骗话术：前面紧跟否定词的（如“不收培训费”“无需押金”）不算
+export const SCAM_PATTERNS = [
+  {
+    pattern: /(先交|先缴|需交|需缴|缴纳|交纳)[^，。,.;；\n]{0,6}(押金|保证金|定金)/,
+    message: '疑似收取押金，平台禁止向求职者收取任何费用'
+  },
+  {
+    pattern: /(培训费|服装费|工装费|体检费|报名费|介绍费|中介费|资料费|办卡费)/,
+    message: '疑似收取费用，平台禁止向求职者收取任何费用'
+  },
+  {
+    pattern: /(躺赚|日赚[1-9]\d{3,}|轻松月入[1-9]?[万w])/i,
+    message: '疑似夸大收入，请如实填写薪资'
+  }
+]
+
+// 否定词检查范围（匹配位置之前的字符数）
+const NEGATION_WINDOW = 4
+const NEGATION_PATTERN = /不|无|免|零|拒绝|没有/
+
+const CHINESE_DIGITS = {
+  '零': '0', '〇': '0', '一': '1', '二': '2', '三': '3', '四': '4',
+  '五': '5', '六': '6', '七': '7', '八': '8', '九': '9',
+  '壹': '1', '贰': '2', '叁': '3', '肆': '4', '伍': '5',
+  '陆': '6', '柒': '7', '捌': '8', '玖': '9'
+}
+
+// 还原被刻意打散的号码：全角/中文数字转阿拉伯数字，去掉数字之间的分隔符
+const normalizeDigits = (text) => {
+  return Array.from(text)
+    .map(char => {
+      if (CHINESE_DIGITS[char]) return CHINESE_DIGITS[char]
+      const code = char.charCodeAt(0)
+      // 全角数字
+      if (code >= 0xff10 && code <= 0xff19) return String(code - 0xff10)
+      return char
+    })
+    .join('')
+    .replace(/(\d)[\s\-—_.·。,，、|/\\*]+(?=\d)/g, '$1')
+}
+
+// 手机号前后不能紧挨其他数字，避免把薪资区间拼出来的长数字误判
+const PHONE_PATTERN = /(^|\D)(1[3-9]\d{9})(?!\d)/
+const WECHAT_PATTERN = /(微信|威信|薇信|v信|vx|wx|weixin|wechat|加v|\+v)号?\s*[:：]?\s*([a-z][-_a-z0-9]{5,19})/i
+const QQ_PATTERN = /(qq|扣扣|企鹅)号?\s*[:：]?\s*([1-9]\d{4,10})/i
+
+const isNegated = (text, index) => {
+  return NEGATION_PATTERN.test(text.slice(Math.max(index - NEGATION_WINDOW, 0), index))
+}
+
+// 检查一段文本，返回第一条问题 { type, message } 或 null
+export const screenText = (text) => {
+  if (!text) return null
+  const value = String(text)
+
+  const bannedWord = BANNED_WORDS.find(word => value.includes(word))
+  if (bannedWord) {
+    return { type: 'banned', message: `包含违禁词“${bannedWord}”` }
+  }
+
+  if (PHONE_PATTERN.test(normalizeDigits(value)) || QQ_PATTERN.test(value)) {
+    return { type: 'contact', message: '请勿在此填写电话、QQ等联系方式，请填写在联系方式一栏' }
+  }
+  if (WECHAT_PATTERN.test(value)) {
+    return { type: 'contact', message: '请勿在此填写微信号，请填写在联系方式一栏' }
+  }
+
+  for (const { pattern, message } of SCAM_PATTERNS) {
+    const match = pattern.exec(value)
+    if (match && !isNegated(value, match.index)) {
+      return { type: 'scam', message: `${message}（“${match[0]}”）` }
+    }
+  }
+
+  return null
+}
+
+// 检查单个字段，返回错误提示，没有问题返回空字符串
+export const screenField = (key, value) => {
+  if (!SCREEN_FIELDS.some(field => field.key === key)) return ''
+  const texts = Array.isArray(value) ? value : [value]
+  for (const text of texts) {
+    const issue = screenText(text)
+    if (issue) return issue.message
+  }
+  return ''
+}
+
+// 检查整个职位，返回 { 字段: 错误提示 }，没有问题时为空对象
+export const screenJob = (job) => {
+  return SCREEN_FIELDS.reduce((errors, { key }) => {
+    const message = screenField(key, job[key])
+    if (message) {
+      errors[key] = message
+    }
+    return errors
+  }, {})
+}
+
+// 检查结果 -> 审核驳回原因
+export const formatScreenErrors = (errors) => {
+  return SCREEN_FIELDS
+    .filter(({ key }) => errors[key])
+    .map(({ key, label }) => `${label}：${errors[key]}`)
+    .join('；')
+}
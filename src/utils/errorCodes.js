@@ -0,0 +1,28 @@
+// 错误码（与 api-design.md 保持一致）
+const ERROR_CODES = {
+  SUCCESS: 200,
+  INVALID_PARAM: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  SERVER_ERROR: 500,
+
+  // 业务错误码
+  USER_NOT_EXIST: 1001,
+  JOB_NOT_FOUND: 2001,
+  JOB_REFRESH_LIMIT: 2002,
+  CONTENT_VIOLATION: 2003,
+  PUBLISH_LIMIT_EXCEEDED: 2004,
+  DUPLICATE_JOB: 2005,
+  SHARE_LIMIT_EXCEEDED: 3001,
+  POINTS_NOT_ENOUGH: 3002,
+  POINTS_INVALID: 3003,
+
+  // 客户端错误码
+  NETWORK_ERROR: -1,
+  TIMEOUT: -2,
+  PAYMENT_CANCELLED: -3,
+  PAYMENT_FAILED: -4
+}
+
+export default ERROR_CODES
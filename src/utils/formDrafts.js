@@ -0,0 +1,34 @@
+import { initialFormData } from './jobForm'
+
+// 发布表单的本地草稿：{ id, name, formData, jobId, updatedAt }
+// jobId 为编辑中的职位ID，新发布的草稿为 null；name 为用户重命名的名称，未命名时按职位名称显示
+
+// 最多保留的草稿数
+export const MAX_FORM_DRAFTS = 10
+
+// 停止输入后多久自动保存（毫秒）
+export const AUTOSAVE_DELAY = 800
+
+export const createDraftId = () => `draft_${Date.now()}`
+
+// 草稿显示名称
+export const getDraftName = (draft) => {
+  return draft.name || draft.formData.title.trim() || '未命名草稿'
+}
+
+// 表单是否与初始内容不同（新发布对比空表单，编辑对比原职位）
+export const isFormChanged = (formData, baseForm = initialFormData) => {
+  return JSON.stringify(formData) !== JSON.stringify(baseForm)
+}
+
+// 新增或更新草稿，最近保存的排在前面，超出上限时丢弃最旧的
+export const upsertDraft = (drafts, draft) => {
+  return [draft, ...drafts.filter(item => item.id !== draft.id)].slice(0, MAX_FORM_DRAFTS)
+}
+
+// 某个编辑场景下最近的草稿，jobId 为 null 表示新发布
+export const findLatestDraft = (drafts, jobId = null) => {
+  return drafts
+    .filter(draft => (draft.jobId || null) === jobId)
+    .sort((a, b) => b.updatedAt - a.updatedAt)[0] || null
+}
@@ -0,0 +1,28 @@
+// 经纬度工具
+
+const EARTH_RADIUS = 6371000
+
+const toRadians = (degree) => degree * Math.PI / 180
+
+export const hasCoordinates = (point) => {
+  return Boolean(point) &&
+    typeof point.latitude === 'number' &&
+    typeof point.longitude === 'number'
+}
+
+// 两点间球面距离（米）
+export const getDistance = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude)
+  const dLng = toRadians(to.longitude - from.longitude)
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2)
+  return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+// 距离显示：'800m'、'3.2km'
+export const formatDistance = (meters) => {
+  if (meters < 1000) return `${Math.round(meters)}m`
+  const km = meters / 1000
+  return km < 100 ? `${km.toFixed(1)}km` : `${Math.round(km)}km`
+}
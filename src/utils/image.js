@@ -0,0 +1,43 @@
+import Taro from '@tarojs/taro'
+
+// 职位图片：选择与上传前压缩
+
+// 每个职位最多上传的图片数
+export const MAX_JOB_IMAGES = 9
+
+// 超过该大小（字节）的图片上传前再压缩一次
+const COMPRESS_THRESHOLD = 200 * 1024
+const COMPRESS_QUALITY = 80
+
+// 从相册或相机选择图片，返回 [{ tempFilePath, size }]
+export const chooseImages = async (count) => {
+  const res = await Taro.chooseMedia({
+    count,
+    mediaType: ['image'],
+    sourceType: ['album', 'camera'],
+    sizeType: ['compressed']
+  })
+  return res.tempFiles
+}
+
+// 用户取消选择时 chooseMedia 也会失败，不需要提示
+export const isChooseCancel = (error) => {
+  return Boolean(error && error.errMsg && error.errMsg.includes('cancel'))
+}
+
+// 压缩图片，返回待上传的临时路径；压缩失败时使用原图
+export const compressImage = async (file) => {
+  if (!file.size || file.size <= COMPRESS_THRESHOLD) {
+    return file.tempFilePath
+  }
+  try {
+    const res = await Taro.compressImage({
+      src: file.tempFilePath,
+      quality: COMPRESS_QUALITY
+    })
+    return res.tempFilePath
+  } catch (error) {
+    console.error('图片压缩失败:', error)
+    return file.tempFilePath
+  }
+}
@@ -0,0 +1,73 @@
+import { getJobRegionCode, toRegionFields } from './regions'
+import { getJobSalary, toSalaryFields } from './salary'
+import { EXPERIENCE_OPTIONS, EDUCATION_OPTIONS, EMPLOYMENT_TYPES } from './jobOptions'
+
+// 发布表单与职位数据之间的转换，发布和编辑共用
+
+export const initialFormData = {
+  title: '',
+  company: '',
+  regionCode: '',
+  address: '',
+  latitude: null,
+  longitude: null,
+  salaryPeriod: 'month',
+  salaryMin: '',
+  salaryMax: '',
+  employmentType: '全职',
+  experience: '',
+  education: '',
+  description: '',
+  requirements: '',
+  benefits: '',
+  contact: '',
+  contactName: '',
+  tags: [],
+  // 已上传的图片地址
+  images: []
+}
+
+// 表单数据 -> 提交给接口的职位数据，拆分为结构化的地区和薪资字段
+export const formDataToJob = (formData) => {
+  const { regionCode, salaryPeriod, salaryMin, salaryMax, ...rest } = formData
+  const negotiable = salaryPeriod === 'negotiable'
+  return {
+    ...rest,
+    ...toRegionFields(regionCode),
+    ...toSalaryFields({
+      min: negotiable ? 0 : Number(salaryMin),
+      max: negotiable ? 0 : Number(salaryMax || salaryMin),
+      period: salaryPeriod,
+      negotiable
+    })
+  }
+}
+
+// 选择器字段只接受选项中的值，其他值（旧数据或手填）清空让用户重新选择
+const pickOption = (value, options, fallback = '') => options.includes(value) ? value : fallback
+
+// 职位数据 -> 表单数据，用于编辑已发布的职位或复制为新职位
+export const jobToFormData = (job) => {
+  const formData = Object.keys(initialFormData).reduce((result, key) => {
+    if (job[key] !== undefined && job[key] !== null) {
+      result[key] = job[key]
+    }
+    return result
+  }, { ...initialFormData })
+
+  const salary = getJobSalary(job)
+  const negotiable = !salary || salary.negotiable
+
+  return {
+    ...formData,
+    tags: [...(job.tags || [])],
+    images: [...(job.images || [])],
+    regionCode: getJobRegionCode(job),
+    employmentType: pickOption(formData.employmentType, EMPLOYMENT_TYPES, initialFormData.employmentType),
+    experience: pickOption(formData.experience, EXPERIENCE_OPTIONS),
+    education: pickOption(formData.education, EDUCATION_OPTIONS),
+    salaryPeriod: negotiable ? 'negotiable' : salary.period,
+    salaryMin: negotiable ? '' : String(salary.min),
+    salaryMax: negotiable || salary.max === null ? '' : String(salary.max)
+  }
+}
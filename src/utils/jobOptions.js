@@ -0,0 +1,46 @@
+// 职位选项，发布表单与筛选面板共用
+
+// 经验选项
+export const EXPERIENCE_OPTIONS = [
+  '不限',
+  '应届毕业生',
+  '1年以下',
+  '1-3年',
+  '3-5年',
+  '5-10年',
+  '10年以上'
+]
+
+// 学历选项
+export const EDUCATION_OPTIONS = [
+  '不限',
+  '中专/中技',
+  '高中',
+  '大专',
+  '本科',
+  '硕士',
+  '博士'
+]
+
+// 用工类型
+export const EMPLOYMENT_TYPES = [
+  '全职',
+  '兼职',
+  '临时工',
+  '日结'
+]
+
+// 多选筛选分组，“不限”的职位匹配任意选择，不作为筛选项
+export const MULTI_FILTER_GROUPS = [
+  { key: 'experience', label: '工作经验', options: EXPERIENCE_OPTIONS.slice(1) },
+  { key: 'education', label: '学历要求', options: EDUCATION_OPTIONS.slice(1) },
+  { key: 'employmentType', label: '用工类型', options: EMPLOYMENT_TYPES }
+]
+
+// 排序方式，对应 GET /jobs 的 sortBy/order
+export const SORT_OPTIONS = [
+  { label: '最新发布', sortBy: 'time', order: 'desc' },
+  { label: '薪资最高', sortBy: 'salary', order: 'desc' },
+  { label: '最受欢迎', sortBy: 'view', order: 'desc' },
+  { label: '距离最近', sortBy: 'distance', order: 'asc' }
+]
@@ -0,0 +1,142 @@
+import { getJobRegionCode, isInRegion } from './regions'
+import { matchSalaryRange, getSalarySortValue } from './salary'
+import { MULTI_FILTER_GROUPS } from './jobOptions'
+import { getDistance, hasCoordinates } from './geo'
+import { searchJobs } from './search'
+
+// 职位筛选与查询参数转换，store 与模拟接口共用同一套规则
+
+export const PAGE_SIZE = 20
+export const MAX_PAGE_SIZE = 50
+
+// 筛选逻辑函数
+export function applyFiltersToJobs(jobs, filters) {
+  let filtered = [...jobs]
+
+  if (filters.regionCode) {
+    filtered = filtered.filter(job => isInRegion(getJobRegionCode(job), filters.regionCode))
+  }
+
+  if (filters.salaryMin || filters.salaryMax) {
+    filtered = filtered.filter(job => matchSalaryRange(job, filters.salaryMin, filters.salaryMax))
+  }
+
+  // 多选条件：职位取值在所选范围内，或职位本身为“不限”
+  MULTI_FILTER_GROUPS.forEach(({ key }) => {
+    const selected = filters[key]
+    if (selected && selected.length > 0) {
+      filtered = filtered.filter(job => !job[key] || job[key] === '不限' || selected.includes(job[key]))
+    }
+  })
+
+  // 只要某个时间之后发布的职位（订阅新职位计数用，毫秒时间戳）
+  if (filters.since) {
+    filtered = filtered.filter(job => getPublishTime(job) > filters.since)
+  }
+
+  filtered = sortJobs(filtered, filters)
+
+  if (filters.keyword) {
+    const results = searchJobs(filtered, filters.keyword)
+    if (!filters.sortBy || filters.sortBy === 'time') {
+      // 默认排序下按相关度排列，相关度相同的保持发布时间倒序
+      filtered = results.map(item => item.job)
+    } else {
+      const matched = new Set(results.map(item => item.job))
+      filtered = filtered.filter(job => matched.has(job))
+    }
+  }
+
+  return filtered
+}
+
+const getPublishTime = job => new Date(job.publishTime).getTime()
+// 刷新过的职位按刷新时间排在最新列表前面
+const getSortTime = job => new Date(job.refreshTime || job.publishTime).getTime()
+
+// 排序值获取，origin 为用户当前位置（距离排序用）
+const sortValueGetters = {
+  time: getSortTime,
+  salary: getSalarySortValue,
+  view: job => job.viewCount || 0,
+  distance: (job, origin) => hasCoordinates(origin) && hasCoordinates(job)
+    ? getDistance(origin, job)
+    : Infinity
+}
+
+// 排序：sortBy 为 time/salary/view/distance，order 为 desc/asc，值相同时按发布（刷新）时间倒序
+export function sortJobs(jobs, { sortBy = 'time', order = 'desc', latitude, longitude } = {}) {
+  const getValue = sortValueGetters[sortBy] || sortValueGetters.time
+  const origin = { latitude, longitude }
+  const direction = order === 'asc' ? 1 : -1
+  return jobs
+    .map(job => ({ job, value: getValue(job, origin) }))
+    .sort((a, b) => {
+      // 没有坐标的职位始终排在最后
+      const aMissing = a.value === Infinity
+      const bMissing = b.value === Infinity
+      if (aMissing !== bMissing) return aMissing ? 1 : -1
+      const diff = aMissing ? 0 : (a.value - b.value) * direction
+      return diff || getSortTime(b.job) - getSortTime(a.job)
+    })
+    .map(item => item.job)
+}
+
+// 去掉空值和 0，避免把无效条件拼到查询串里
+const compact = (params) => {
+  return Object.keys(params).reduce((result, key) => {
+    if (params[key] !== '' && params[key] !== 0 && params[key] !== undefined && params[key] !== null) {
+      result[key] = params[key]
+    }
+    return result
+  }, {})
+}
+
+// 多选条件以逗号拼接
+const joinValues = (values) => (values || []).join(',')
+const splitValues = (value) => value ? String(value).split(',').filter(Boolean) : []
+
+// 筛选条件 -> GET /jobs 查询参数
+export const buildJobQuery = (filters, page = 1, size = PAGE_SIZE) => {
+  return compact({
+    page,
+    size,
+    regionCode: filters.regionCode,
+    salaryMin: filters.salaryMin,
+    salaryMax: filters.salaryMax,
+    experience: joinValues(filters.experience),
+    education: joinValues(filters.education),
+    employmentType: joinValues(filters.employmentType),
+    keyword: filters.keyword,
+    sortBy: filters.sortBy,
+    order: filters.order,
+    latitude: filters.sortBy === 'distance' ? filters.latitude : '',
+    longitude: filters.sortBy === 'distance' ? filters.longitude : '',
+    since: filters.since
+  })
+}
+
+// GET /jobs 查询参数 -> 筛选条件
+export const parseJobQuery = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  const size = Math.min(Math.max(parseInt(query.size, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+  return {
+    page,
+    size,
+    filters: {
+      regionCode: query.regionCode || '',
+      salaryMin: parseInt(query.salaryMin, 10) || 0,
+      salaryMax: parseInt(query.salaryMax, 10) || null,
+      experience: splitValues(query.experience),
+      education: splitValues(query.education),
+      employmentType: splitValues(query.employmentType),
+      keyword: query.keyword || '',
+      sortBy: query.sortBy || 'time',
+      order: query.order || 'desc',
+      latitude: query.latitude !== undefined ? Number(query.latitude) : null,
+      longitude: query.longitude !== undefined ? Number(query.longitude) : null,
+      since: parseInt(query.since, 10) || 0
+    }
+  }
+}
@@ -0,0 +1,63 @@
+// 职位生命周期：草稿 -> 审核中 -> 已发布 / 未通过（附原因）-> 已过期 / 已下架
+// 数值与 api-design.md 中 jobs.status 一致
+export const JOB_STATUS = {
+  OFFLINE: 0,
+  PUBLISHED: 1,
+  REVIEWING: 2,
+  REJECTED: 3,
+  EXPIRED: 4,
+  DRAFT: 5
+}
+
+export const JOB_STATUS_LABELS = {
+  [JOB_STATUS.OFFLINE]: '已下架',
+  [JOB_STATUS.PUBLISHED]: '已发布',
+  [JOB_STATUS.REVIEWING]: '审核中',
+  [JOB_STATUS.REJECTED]: '未通过',
+  [JOB_STATUS.EXPIRED]: '已过期',
+  [JOB_STATUS.DRAFT]: '草稿'
+}
+
+// 职位发布后的有效天数，到期自动变为已过期
+export const JOB_VALID_DAYS = 30
+
+// 旧数据没有 status 字段，视为正常发布
+export const getJobStatus = (job) => {
+  if (!job) return JOB_STATUS.OFFLINE
+  return job.status === undefined ? JOB_STATUS.PUBLISHED : job.status
+}
+
+// 只有已发布的职位出现在公开列表中
+export const isJobPublished = (job) => getJobStatus(job) === JOB_STATUS.PUBLISHED
+
+// 对收藏者而言已失效的状态（审核中的修改不算）
+export const isTakenDownStatus = (status) => {
+  return status === JOB_STATUS.OFFLINE ||
+    status === JOB_STATUS.EXPIRED ||
+    status === JOB_STATUS.REJECTED
+}
+
+// 到期时间，旧数据按发布时间推算
+export const getExpireTime = (job) => {
+  if (job.expireTime) return new Date(job.expireTime).getTime()
+  return new Date(job.publishTime).getTime() + JOB_VALID_DAYS * 86400000
+}
+
+// 各状态下发布者可执行的操作
+export const getJobActions = (job) => {
+  switch (getJobStatus(job)) {
+    case JOB_STATUS.DRAFT:
+      return ['edit', 'submit']
+    case JOB_STATUS.REVIEWING:
+      return ['edit', 'offline']
+    case JOB_STATUS.PUBLISHED:
+      return ['edit', 'refresh', 'offline']
+    case JOB_STATUS.REJECTED:
+      return ['edit']
+    case JOB_STATUS.EXPIRED:
+    case JOB_STATUS.OFFLINE:
+      return ['edit', 'repost']
+    default:
+      return []
+  }
+}
@@ -0,0 +1,43 @@
+// 会员：有效期内不受历史职位锁定限制，可以代替分享和积分解锁
+
+// 默认套餐，以服务端下发的为准；price 单位为分
+export const MEMBERSHIP_PLANS = [
+  { key: 'day', name: '日卡', price: 300, days: 1, desc: '24 小时内查看全部历史职位' },
+  { key: 'month', name: '月卡', price: 2800, days: 30, desc: '30 天内查看全部历史职位' }
+]
+
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  CLOSED: 'closed'
+}
+
+// 支付完成后轮询订单状态的间隔和次数，订单以服务端收到支付通知为准
+export const ORDER_POLL_INTERVAL = 1000
+export const ORDER_POLL_TIMES = 10
+
+export const getMembershipPlan = (key, plans = MEMBERSHIP_PLANS) => {
+  return plans.find(plan => plan.key === key) || null
+}
+
+// membership: { planKey, planName, startTime, expireTime }
+export const isMembershipActive = (membership, now = Date.now()) => {
+  return Boolean(membership && new Date(membership.expireTime).getTime() > now)
+}
+
+// 续费从当前到期时间往后顺延，已过期的从现在开始算
+export const getRenewedExpireTime = (membership, plan, now = Date.now()) => {
+  const start = isMembershipActive(membership, now) ? new Date(membership.expireTime).getTime() : now
+  return new Date(start + plan.days * 86400000).toISOString()
+}
+
+// 分 -> 元
+export const formatPrice = (price) => {
+  const yuan = price / 100
+  return Number.isInteger(yuan) ? String(yuan) : yuan.toFixed(2)
+}
+
+export const formatExpireTime = (expireTime) => {
+  const date = new Date(expireTime)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+}
@@ -0,0 +1,65 @@
+import Taro from '@tarojs/taro'
+import { ERROR_CODES, RequestError, getAdapter } from './request'
+import { formatPrice } from './membership'
+
+// 支付适配器：wechat 调起微信支付，fake 为本地模拟支付，配合模拟接口测试下单流程
+// 支付是否成功以服务端订单状态为准，这里只负责让用户完成付款
+// 未配置时模拟接口使用 fake，真实后端使用 wechat
+const DEFAULT_PROVIDER = typeof PAYMENT_PROVIDER !== 'undefined' && PAYMENT_PROVIDER ? PAYMENT_PROVIDER : ''
+
+// 微信支付，payParams 为下单接口返回的 { timeStamp, nonceStr, package, signType, paySign }
+const wechatProvider = (order) => Taro.requestPayment(order.payParams)
+
+// 模拟支付：用确认弹窗代替微信收银台，确认后调用 settle 让服务端把订单结算为已支付
+const fakeProvider = async (order, { settle } = {}) => {
+  const { confirm } = await Taro.showModal({
+    title: '模拟支付',
+    content: `支付 ¥${formatPrice(order.amount)}（测试环境，不会真实扣款）`,
+    confirmText: '确认支付'
+  })
+  if (!confirm) {
+    throw new RequestError(ERROR_CODES.PAYMENT_CANCELLED)
+  }
+  if (settle) {
+    await settle(order)
+  }
+  return { errMsg: 'requestPayment:ok' }
+}
+
+const providers = {
+  wechat: wechatProvider,
+  fake: fakeProvider
+}
+
+let currentProvider = DEFAULT_PROVIDER
+
+// 切换支付适配器：'wechat' | 'fake'
+export const setPaymentProvider = (name) => {
+  if (!providers[name]) {
+    throw new Error(`未知的支付适配器: ${name}`)
+  }
+  currentProvider = name
+}
+
+export const getPaymentProvider = () => {
+  return currentProvider || (getAdapter() === 'mock' ? 'fake' : 'wechat')
+}
+
+const isPaymentCancelled = (error) => {
+  return Boolean(error && error.errMsg && /cancel/.test(error.errMsg))
+}
+
+// 为下单接口返回的订单发起支付，失败统一抛出 RequestError
+// settle 只有模拟支付使用：确认付款后代替微信支付结果通知结算订单
+export const requestPayment = async (order, { settle } = {}) => {
+  try {
+    return await providers[getPaymentProvider()](order, { settle })
+  } catch (error) {
+    if (error instanceof RequestError) throw error
+    if (isPaymentCancelled(error)) {
+      throw new RequestError(ERROR_CODES.PAYMENT_CANCELLED)
+    }
+    console.error('支付失败:', error)
+    throw new RequestError(ERROR_CODES.PAYMENT_FAILED)
+  }
+}
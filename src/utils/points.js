@@ -0,0 +1,196 @@
+import ERROR_CODES from './errorCodes'
+import { toShareDate } from './share'
+import { DEFAULT_UNLOCK_POLICY, UNLOCK_SCOPES, canUnlockBy, isDayEntitled, isJobEntitled } from './unlockPolicy'
+
+// 积分：分享被好友打开、邀请新用户、每日签到获得，解锁某一天或单个职位消耗
+// 客户端先记入本地账本（可离线），联网后提交服务端对账，store 与模拟接口共用同一套规则
+
+export const POINTS_TYPES = {
+  SHARE: 'share',
+  INVITE: 'invite',
+  CHECK_IN: 'check_in',
+  UNLOCK_DAY: 'unlock_day',
+  UNLOCK_JOB: 'unlock_job'
+}
+
+export const POINTS_TYPE_LABELS = {
+  [POINTS_TYPES.SHARE]: '分享被好友打开',
+  [POINTS_TYPES.INVITE]: '邀请新用户',
+  [POINTS_TYPES.CHECK_IN]: '每日签到',
+  [POINTS_TYPES.UNLOCK_DAY]: '解锁当天职位',
+  [POINTS_TYPES.UNLOCK_JOB]: '解锁单个职位'
+}
+
+// 分享和邀请由服务端确认后发放，客户端只能记签到和解锁
+const CLIENT_POINTS_TYPES = [POINTS_TYPES.CHECK_IN, POINTS_TYPES.UNLOCK_DAY, POINTS_TYPES.UNLOCK_JOB]
+
+// 默认规则，以服务端下发的为准
+export const DEFAULT_POINTS_RULES = {
+  share: 5,
+  // 每天最多获得分享积分的次数
+  shareDailyLimit: 10,
+  invite: 20,
+  checkIn: 2,
+  unlockDay: 10,
+  unlockJob: 3
+}
+
+// 离线签到最晚在之后几天内同步，超出的签到服务端不再接受（0 为只接受当天的签到）
+export const CHECK_IN_SYNC_DAYS = 1
+
+// 签到日期是否在可同步的范围内：不能是未来的日期，也不能早于 CHECK_IN_SYNC_DAYS 天前
+export const isCheckInDateAllowed = (date, now = new Date()) => {
+  const earliest = new Date(now.getFullYear(), now.getMonth(), now.getDate() - CHECK_IN_SYNC_DAYS)
+  return Boolean(date) && date >= toShareDate(earliest) && date <= toShareDate(now)
+}
+
+// 本地账本：服务端确认的部分 + 待同步的本地流水
+// 流水 { clientId, type, amount, date, jobId, createTime }
+// 解锁权益 { days: [{ date, unlockTime, legacy }], jobs: [{ jobId, unlockTime }] }，是否过期由解锁策略判断
+// legacy 为积分系统上线前通过分享解锁、从本地缓存迁移的日期，上传服务端之前不算解锁
+export const initialPointsLedger = {
+  balance: 0,
+  transactions: [],
+  entitlements: { days: [], jobs: [] },
+  rules: DEFAULT_POINTS_RULES,
+  pending: [],
+  syncedAt: 0
+}
+
+// 每种流水的积分变动，消耗为负数
+export const getPointsAmount = (type, rules = DEFAULT_POINTS_RULES) => {
+  switch (type) {
+    case POINTS_TYPES.SHARE:
+      return rules.share
+    case POINTS_TYPES.INVITE:
+      return rules.invite
+    case POINTS_TYPES.CHECK_IN:
+      return rules.checkIn
+    case POINTS_TYPES.UNLOCK_DAY:
+      return -rules.unlockDay
+    case POINTS_TYPES.UNLOCK_JOB:
+      return -rules.unlockJob
+    default:
+      return 0
+  }
+}
+
+// clientId 用于服务端去重，同一笔流水重复提交只记一次
+const createClientId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`
+
+// 本地记一笔流水；签到的 date 为签到当天，解锁当天职位的 date 为解锁的日期
+export const createPointsTransaction = (type, rules, { date = '', jobId = '' } = {}, now = new Date()) => ({
+  clientId: createClientId(),
+  type,
+  amount: getPointsAmount(type, rules),
+  date: type === POINTS_TYPES.CHECK_IN ? toShareDate(now) : (date && toShareDate(date)),
+  jobId,
+  createTime: now.toISOString()
+})
+
+// 积分系统上线前分享解锁的日期 { 日期: true }，日期兼容更早按 toDateString 保存的 key
+const toLegacyDays = (unlockedDates = {}, unlockTime) => {
+  return Object.keys(unlockedDates || {})
+    .filter(key => unlockedDates[key])
+    .map(key => (/^\d{4}-\d{2}-\d{2}$/.test(key) ? key : toShareDate(key)))
+    .filter(Boolean)
+    .map(date => ({ date, unlockTime, legacy: true }))
+}
+
+// 加载本地保存的账本：旧版本保存的权益只有日期或职位ID，按上次同步时间补上解锁时间；
+// 旧版本的 unlockedDates 迁移为按天解锁的权益，解锁时间记为迁移时间
+export const normalizePointsLedger = (ledger = {}, legacyUnlockedDates = {}) => {
+  const { days = [], jobs = [] } = (ledger && ledger.entitlements) || {}
+  const unlockTime = new Date((ledger && ledger.syncedAt) || Date.now()).toISOString()
+  const migratedDays = days.map(item => (typeof item === 'string' ? { date: item, unlockTime } : item))
+  const legacyDays = toLegacyDays(legacyUnlockedDates, new Date().toISOString())
+    .filter(item => !migratedDays.some(day => day.date === item.date))
+  return {
+    ...initialPointsLedger,
+    ...ledger,
+    entitlements: {
+      days: [...migratedDays, ...legacyDays],
+      jobs: jobs.map(item => (typeof item === 'string' ? { jobId: item, unlockTime } : item))
+    }
+  }
+}
+
+// 待上传服务端的旧解锁日期
+export const getLegacyDays = (ledger) => {
+  return ledger.entitlements.days.filter(item => item.legacy).map(item => item.date)
+}
+
+// 本地视角的账户：服务端余额和权益加上待同步的流水
+// 旧解锁日期在服务端确认前不计入，否则服务端不返回联系方式，本地却显示已解锁
+export const getLocalAccount = (ledger) => {
+  const { pending } = ledger
+  const unlocked = type => pending.filter(item => item.type === type)
+  return {
+    balance: pending.reduce((total, item) => total + item.amount, ledger.balance),
+    transactions: [...pending, ...ledger.transactions],
+    entitlements: {
+      days: [
+        ...ledger.entitlements.days.filter(item => !item.legacy),
+        ...unlocked(POINTS_TYPES.UNLOCK_DAY).map(item => ({ date: item.date, unlockTime: item.createTime }))
+      ],
+      jobs: [
+        ...ledger.entitlements.jobs,
+        ...unlocked(POINTS_TYPES.UNLOCK_JOB).map(item => ({ jobId: item.jobId, unlockTime: item.createTime }))
+      ]
+    }
+  }
+}
+
+export const hasCheckedIn = (account, now = new Date()) => {
+  const today = toShareDate(now)
+  return account.transactions.some(item => item.type === POINTS_TYPES.CHECK_IN && item.date === today)
+}
+
+// 校验一笔客户端流水，返回 { code, message } 或 null
+// 客户端记账前用本地账户校验，服务端对账时用服务端账户再校验一次
+// 解锁方式和是否已解锁按解锁策略判断，已过期的解锁可以再次解锁
+export const validatePointsTransaction = (transaction, account, rules, policy = DEFAULT_UNLOCK_POLICY) => {
+  const { type, date, jobId, createTime } = transaction
+  const invalid = message => ({ code: ERROR_CODES.POINTS_INVALID, message })
+  const now = createTime ? new Date(createTime).getTime() : Date.now()
+
+  if (!CLIENT_POINTS_TYPES.includes(type)) {
+    return invalid('该积分只能由服务端发放')
+  }
+  if (type === POINTS_TYPES.CHECK_IN) {
+    return hasCheckedIn(account, new Date(`${date}T00:00:00`)) ? invalid('今天已经签到过了') : null
+  }
+  if (type === POINTS_TYPES.UNLOCK_DAY && !canUnlockBy(policy, UNLOCK_SCOPES.DAY)) {
+    return invalid('当前不支持按天解锁')
+  }
+  if (type === POINTS_TYPES.UNLOCK_JOB && !canUnlockBy(policy, UNLOCK_SCOPES.JOB)) {
+    return invalid('当前不支持单个职位解锁')
+  }
+  if (type === POINTS_TYPES.UNLOCK_DAY && (!date || isDayEntitled(policy, account.entitlements, date, now))) {
+    return invalid('该日期的职位已解锁')
+  }
+  if (type === POINTS_TYPES.UNLOCK_JOB && (!jobId || isJobEntitled(policy, account.entitlements, jobId, now))) {
+    return invalid('该职位已解锁')
+  }
+  const cost = -getPointsAmount(type, rules)
+  if (account.balance < cost) {
+    return { code: ERROR_CODES.POINTS_NOT_ENOUGH, message: `积分不足，需要 ${cost} 积分` }
+  }
+  return null
+}
+
+// 用服务端账户覆盖本地账本，去掉已对账（接受或拒绝）的待同步流水
+// 旧解锁日期已随本次同步上传时以服务端为准，否则继续保留等下次上传
+export const applyPointsAccount = (ledger, account, settledIds = [], legacyUploaded = false) => {
+  const confirmedIds = new Set([...settledIds, ...account.transactions.map(item => item.clientId)])
+  const legacyDays = legacyUploaded ? [] : ledger.entitlements.days
+    .filter(item => item.legacy && !account.entitlements.days.some(day => day.date === item.date))
+  return {
+    balance: account.balance,
+    transactions: account.transactions,
+    entitlements: { ...account.entitlements, days: [...account.entitlements.days, ...legacyDays] },
+    rules: { ...DEFAULT_POINTS_RULES, ...account.rules },
+    pending: ledger.pending.filter(item => !confirmedIds.has(item.clientId)),
+    syncedAt: Date.now()
+  }
+}
@@ -0,0 +1,269 @@
+import Taro from '@tarojs/taro'
+import { formatJobLocation } from './regions'
+import { formatJobSalary } from './salary'
+
+// 分享海报：先把职位排版成绘制指令，再绘制到 canvas
+
+// 海报画布尺寸（像素），页面上按比例缩小显示
+export const POSTER_WIDTH = 600
+export const POSTER_HEIGHT = 1000
+
+// 海报模板
+export const POSTER_TEMPLATES = [
+  {
+    key: 'default',
+    name: '清爽蓝',
+    background: '#6697f5',
+    card: '#ffffff',
+    title: '#333333',
+    salary: '#6697f5',
+    text: '#666666',
+    tag: '#e6f7ff',
+    tagText: '#6697f5',
+    footer: '#ffffff'
+  },
+  {
+    key: 'dark',
+    name: '沉稳黑',
+    background: '#1f2329',
+    card: '#2b3038',
+    title: '#ffffff',
+    salary: '#ffc53d',
+    text: '#c9cdd4',
+    tag: '#3a404a',
+    tagText: '#ffc53d',
+    footer: '#c9cdd4'
+  },
+  {
+    key: 'warm',
+    name: '活力橙',
+    background: '#ff8c3b',
+    card: '#fffaf5',
+    title: '#333333',
+    salary: '#ff6a00',
+    text: '#8c6d55',
+    tag: '#fff0e0',
+    tagText: '#ff6a00',
+    footer: '#ffffff'
+  }
+]
+
+export const getPosterTemplate = (key) => {
+  return POSTER_TEMPLATES.find(template => template.key === key) || POSTER_TEMPLATES[0]
+}
+
+// 小程序码的 scene 参数（最长 32 个字符），扫码进入详情页时解析出职位ID和分享ID
+export const buildPosterScene = (jobId, shareId) => `id=${jobId}&s=${shareId}`
+
+export const parsePosterScene = (scene) => {
+  return decodeURIComponent(scene || '')
+    .split('&')
+    .reduce((result, pair) => {
+      const [key, value] = pair.split('=')
+      if (key && value) {
+        result[key] = value
+      }
+      return result
+    }, {})
+}
+
+const CARD_X = 30
+const CARD_Y = 120
+const CARD_WIDTH = POSTER_WIDTH - CARD_X * 2
+const CONTENT_X = CARD_X + 30
+const CONTENT_WIDTH = CARD_WIDTH - 60
+const QR_SIZE = 160
+const MAX_POSTER_TAGS = 6
+
+// 估算文字宽度：中文按一个字号计，英文数字按半个
+export const measureText = (text, size) => {
+  return Array.from(String(text)).reduce((width, char) => {
+    return width + (char.charCodeAt(0) > 255 ? size : size * 0.55)
+  }, 0)
+}
+
+// 按宽度折行，超出行数的部分用省略号结尾
+export const wrapText = (text, size, maxWidth, maxLines) => {
+  const lines = []
+  let line = ''
+  Array.from(String(text || '')).forEach(char => {
+    if (measureText(line + char, size) > maxWidth) {
+      lines.push(line)
+      line = char
+    } else {
+      line += char
+    }
+  })
+  if (line) lines.push(line)
+  if (lines.length <= maxLines) return lines
+  const kept = lines.slice(0, maxLines)
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, -1)}…`
+  return kept
+}
+
+// 职位 -> 绘制指令
+// { type: 'rect', x, y, width, height, color, radius }
+// { type: 'text', text, x, y, size, color, bold, align }（y 为文字基线）
+// { type: 'image', src, x, y, width, height }
+// 按绘制顺序分为页头、卡片内容和底部三段，卡片背景在内容排完、知道高度后插在内容之前
+export const buildPosterCommands = (job, { template: templateKey, qrCode } = {}) => {
+  const template = getPosterTemplate(templateKey)
+  const header = []
+  const content = []
+  const footer = []
+  const text = (commands, value, x, y, size, color, options = {}) => {
+    commands.push({ type: 'text', text: value, x, y, size, color, bold: false, align: 'left', ...options })
+  }
+
+  header.push({ type: 'rect', x: 0, y: 0, width: POSTER_WIDTH, height: POSTER_HEIGHT, color: template.background, radius: 0 })
+  text(header, '工程招聘', CARD_X, 72, 34, template.footer, { bold: true })
+  text(header, '好工作 直接聊', POSTER_WIDTH - CARD_X, 72, 24, template.footer, { align: 'right' })
+
+  const cardTop = CARD_Y
+  let y = cardTop + 70
+
+  const titleLines = wrapText(job.title, 40, CONTENT_WIDTH, 2)
+  titleLines.forEach(line => {
+    text(content, line, CONTENT_X, y, 40, template.title, { bold: true })
+    y += 54
+  })
+
+  text(content, formatJobSalary(job) || '薪资面议', CONTENT_X, y + 6, 36, template.salary, { bold: true })
+  y += 66
+
+  const companyLines = wrapText([job.company, formatJobLocation(job)].filter(Boolean).join(' · '), 26, CONTENT_WIDTH, 2)
+  companyLines.forEach(line => {
+    text(content, line, CONTENT_X, y, 26, template.text)
+    y += 40
+  })
+
+  const meta = [job.employmentType, job.experience, job.education].filter(Boolean).join(' | ')
+  if (meta) {
+    text(content, meta, CONTENT_X, y, 24, template.text)
+    y += 40
+  }
+
+  // 标签按行排列，放不下的换行，最多两行
+  const tags = (job.tags || []).slice(0, MAX_POSTER_TAGS)
+  if (tags.length > 0) {
+    const tagHeight = 44
+    let tagX = CONTENT_X
+    let tagY = y
+    let rows = 1
+    for (const tag of tags) {
+      const width = measureText(tag, 22) + 32
+      if (tagX + width > CONTENT_X + CONTENT_WIDTH) {
+        if (rows === 2) break
+        rows += 1
+        tagX = CONTENT_X
+        tagY += tagHeight + 12
+      }
+      content.push({ type: 'rect', x: tagX, y: tagY, width, height: tagHeight, color: template.tag, radius: tagHeight / 2 })
+      text(content, tag, tagX + 16, tagY + 30, 22, template.tagText)
+      tagX += width + 12
+    }
+    y = tagY + tagHeight + 20
+  }
+
+  const descriptionLines = wrapText(job.description, 24, CONTENT_WIDTH, 3)
+  descriptionLines.forEach(line => {
+    y += 36
+    text(content, line, CONTENT_X, y, 24, template.text)
+  })
+
+  // 卡片高度随内容变化
+  const card = { type: 'rect', x: CARD_X, y: cardTop, width: CARD_WIDTH, height: y + 40 - cardTop, color: template.card, radius: 16 }
+
+  // 底部小程序码，扫码直达职位详情
+  const qrY = POSTER_HEIGHT - QR_SIZE - 50
+  footer.push({ type: 'rect', x: CARD_X, y: qrY - 10, width: QR_SIZE + 20, height: QR_SIZE + 20, color: '#ffffff', radius: 12 })
+  if (qrCode) {
+    footer.push({ type: 'image', src: qrCode, x: CARD_X + 10, y: qrY, width: QR_SIZE, height: QR_SIZE })
+  } else {
+    text(footer, '小程序码', CARD_X + 10 + QR_SIZE / 2, qrY + QR_SIZE / 2 + 8, 22, '#999999', { align: 'center' })
+  }
+  const footerX = CARD_X + QR_SIZE + 50
+  text(footer, '长按识别小程序码', footerX, qrY + 60, 28, template.footer, { bold: true })
+  text(footer, '查看职位详情和联系方式', footerX, qrY + 106, 22, template.footer)
+
+  return [...header, card, ...content, ...footer]
+}
+
+// 加载指令中用到的图片，加载失败的跳过不画
+export const loadPosterImages = (canvas, commands) => {
+  const sources = commands.filter(command => command.type === 'image').map(command => command.src)
+  return Promise.all(sources.map(src => new Promise(resolve => {
+    const image = canvas.createImage()
+    image.onload = () => resolve([src, image])
+    image.onerror = () => resolve([src, null])
+    image.src = src
+  }))).then(entries => entries.reduce((result, [src, image]) => {
+    if (image) {
+      result[src] = image
+    }
+    return result
+  }, {}))
+}
+
+const fillRoundRect = (ctx, { x, y, width, height, radius }) => {
+  ctx.beginPath()
+  ctx.moveTo(x + radius, y)
+  ctx.arcTo(x + width, y, x + width, y + height, radius)
+  ctx.arcTo(x + width, y + height, x, y + height, radius)
+  ctx.arcTo(x, y + height, x, y, radius)
+  ctx.arcTo(x, y, x + width, y, radius)
+  ctx.closePath()
+  ctx.fill()
+}
+
+// 把绘制指令画到 canvas 2d 上下文
+export const paintPoster = (ctx, commands, images = {}) => {
+  ctx.clearRect(0, 0, POSTER_WIDTH, POSTER_HEIGHT)
+  commands.forEach(command => {
+    if (command.type === 'rect') {
+      ctx.fillStyle = command.color
+      if (command.radius) {
+        fillRoundRect(ctx, command)
+      } else {
+        ctx.fillRect(command.x, command.y, command.width, command.height)
+      }
+    } else if (command.type === 'text') {
+      ctx.fillStyle = command.color
+      ctx.font = `${command.bold ? 'bold ' : ''}${command.size}px sans-serif`
+      ctx.textAlign = command.align
+      ctx.textBaseline = 'alphabetic'
+      ctx.fillText(command.text, command.x, command.y)
+    } else if (command.type === 'image' && images[command.src]) {
+      ctx.drawImage(images[command.src], command.x, command.y, command.width, command.height)
+    }
+  })
+}
+
+// 用户拒绝过相册权限时 saveImageToPhotosAlbum 直接失败，需要引导去设置页打开
+const isAlbumAuthDenied = (error) => {
+  return Boolean(error && error.errMsg && /auth deny|auth denied|authorize/.test(error.errMsg))
+}
+
+// 导出海报图片并保存到相册，返回是否保存成功
+export const savePosterToAlbum = async (canvas) => {
+  const { tempFilePath } = await Taro.canvasToTempFilePath({
+    canvas,
+    fileType: 'jpg',
+    quality: 0.9
+  })
+  try {
+    await Taro.saveImageToPhotosAlbum({ filePath: tempFilePath })
+    return true
+  } catch (error) {
+    if (!isAlbumAuthDenied(error)) throw error
+    const { confirm } = await Taro.showModal({
+      title: '需要相册权限',
+      content: '保存海报需要允许访问相册，是否去设置中开启？',
+      confirmText: '去设置'
+    })
+    if (confirm) {
+      await Taro.openSetting()
+    }
+    return false
+  }
+}
@@ -0,0 +1,84 @@
+import { JOB_STATUS, getJobStatus } from './jobStatus'
+
+// 发布频率与重复内容检查，store 与模拟接口共用同一套规则
+
+// 每人每天最多发布（含提交草稿、重新发布）的次数
+export const DAILY_PUBLISH_LIMIT = 5
+
+// 与最近多少天内自己发布的职位比较
+const DUPLICATE_WINDOW_DAYS = 7
+// 职位名称、公司相同时，描述相似度达到该值直接拦截，达到 SIMILAR 提示确认
+const DUPLICATE_THRESHOLD = 0.9
+const SIMILAR_THRESHOLD = 0.6
+
+// 剩余发布次数
+export const getRemainingPublishes = ({ limit, used }) => Math.max(limit - used, 0)
+
+// 去掉空白和标点，统一小写后比较
+const normalizeText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\s`~!@#$%^&*()_\-+=[\]{}|\\;:'",.<>/?，。、；：‘’“”！？（）【】《》·…—]/g, '')
+}
+
+// 相邻两个字组成的片段
+const getBigrams = (text) => {
+  const chars = Array.from(text)
+  if (chars.length < 2) return chars
+  return chars.slice(1).map((char, index) => chars[index] + char)
+}
+
+// 文本相似度（Dice 系数，0-1）
+export const getTextSimilarity = (a, b) => {
+  const textA = normalizeText(a)
+  const textB = normalizeText(b)
+  if (!textA && !textB) return 1
+  if (!textA || !textB) return 0
+  if (textA === textB) return 1
+
+  const bigramsA = getBigrams(textA)
+  const counts = bigramsA.reduce((result, bigram) => {
+    result[bigram] = (result[bigram] || 0) + 1
+    return result
+  }, {})
+  const bigramsB = getBigrams(textB)
+  const overlap = bigramsB.reduce((total, bigram) => {
+    if (counts[bigram]) {
+      counts[bigram] -= 1
+      return total + 1
+    }
+    return total
+  }, 0)
+  return (2 * overlap) / (bigramsA.length + bigramsB.length)
+}
+
+const getCreateTime = job => new Date(job.createTime || job.publishTime).getTime()
+
+// 与自己最近发布的职位比较，返回 { level: 'duplicate' | 'similar', job, similarity } 或 null
+// 草稿不参与比较，编辑时通过 job.id 排除自身
+export const findDuplicateJob = (job, ownJobs, now = Date.now()) => {
+  const since = now - DUPLICATE_WINDOW_DAYS * 86400000
+  let result = null
+
+  ownJobs
+    .filter(item => item.id !== job.id && getJobStatus(item) !== JOB_STATUS.DRAFT && getCreateTime(item) >= since)
+    .forEach(item => {
+      if (normalizeText(item.title) !== normalizeText(job.title) ||
+        normalizeText(item.company) !== normalizeText(job.company)) {
+        return
+      }
+      const similarity = getTextSimilarity(item.description, job.description)
+      if (similarity < SIMILAR_THRESHOLD || (result && result.similarity >= similarity)) return
+      result = {
+        level: similarity >= DUPLICATE_THRESHOLD ? 'duplicate' : 'similar',
+        job: item,
+        similarity
+      }
+    })
+
+  return result
+}
+
+export const getDuplicateMessage = (duplicate) => {
+  return `与${duplicate.job.publishTime ? '已发布' : '已提交'}的「${duplicate.job.title}」内容重复，请勿重复发布`
+}
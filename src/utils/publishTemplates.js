@@ -0,0 +1,32 @@
+import { initialFormData } from './jobForm'
+
+// 发布模板：{ id, name, formData, updatedAt }，保存常用的公司、联系方式、福利等内容
+
+// 最多保存的模板数
+export const MAX_PUBLISH_TEMPLATES = 20
+
+export const createTemplateId = () => `tpl_${Date.now()}`
+
+// 默认模板名称：公司 + 职位
+export const getDefaultTemplateName = (formData) => {
+  return [formData.company, formData.title]
+    .map(text => text.trim())
+    .filter(Boolean)
+    .join(' · ') || '未命名模板'
+}
+
+// 新增或更新模板，同名模板直接覆盖，最近保存的排在前面
+export const upsertTemplate = (templates, template) => {
+  const rest = templates.filter(item => item.id !== template.id && item.name !== template.name)
+  return [template, ...rest].slice(0, MAX_PUBLISH_TEMPLATES)
+}
+
+// 模板 -> 表单数据，补齐旧版本模板缺少的字段
+export const templateToFormData = (template) => {
+  return {
+    ...initialFormData,
+    ...template.formData,
+    tags: [...(template.formData.tags || [])],
+    images: [...(template.formData.images || [])]
+  }
+}
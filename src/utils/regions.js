@@ -0,0 +1,90 @@
+import regions from '../data/regions.json'
+
+// 省/市/县三级行政区划
+// 数据来源：china-division（MIT），直辖市的“市辖区”已替换为直辖市名称
+// 编码规则：省 2 位，市 4 位，县 6 位，下级编码以上级编码为前缀
+
+export const REGION_LEVELS = ['province', 'city', 'county']
+
+// code -> { code, name, parentCode, level, children }
+let regionIndex = null
+
+const buildIndex = () => {
+  regionIndex = {}
+  const walk = (nodes, parentCode, depth) => {
+    nodes.forEach(node => {
+      regionIndex[node.code] = {
+        code: node.code,
+        name: node.name,
+        parentCode,
+        level: REGION_LEVELS[depth],
+        children: node.children || []
+      }
+      if (node.children) {
+        walk(node.children, node.code, depth + 1)
+      }
+    })
+  }
+  walk(regions, '', 0)
+  return regionIndex
+}
+
+export const getRegion = (code) => {
+  if (!code) return null
+  return (regionIndex || buildIndex())[code] || null
+}
+
+export const getProvinces = () => regions
+
+export const getChildren = (code) => {
+  const region = getRegion(code)
+  return region ? region.children : []
+}
+
+// 从任意一级编码得到完整路径 [省, 市, 县]
+export const getRegionPath = (code) => {
+  const path = []
+  let region = getRegion(code)
+  while (region) {
+    path.unshift(region)
+    region = getRegion(region.parentCode)
+  }
+  return path
+}
+
+// 编码 -> 职位上的结构化地区字段（与 jobs 表一致）
+export const toRegionFields = (code) => {
+  const [province, city, county] = getRegionPath(code)
+  return {
+    province: province ? province.name : '',
+    city: city ? city.name : '',
+    county: county ? county.name : '',
+    provinceCode: province ? province.code : '',
+    cityCode: city ? city.code : '',
+    countyCode: county ? county.code : ''
+  }
+}
+
+// 职位最精确的一级地区编码
+export const getJobRegionCode = (job) => {
+  return job.countyCode || job.cityCode || job.provinceCode || ''
+}
+
+// 编码匹配：职位地区属于筛选地区（含下级）
+export const isInRegion = (jobRegionCode, filterCode) => {
+  if (!filterCode) return true
+  return Boolean(jobRegionCode) && jobRegionCode.startsWith(filterCode)
+}
+
+// 显示文本：市 + 县，只选到省时显示省
+export const formatRegion = (code) => {
+  const [province, city, county] = getRegionPath(code)
+  if (!province) return ''
+  if (!city) return province.name
+  return county ? `${city.name} ${county.name}` : city.name
+}
+
+export const formatJobLocation = (job) => {
+  const code = getJobRegionCode(job)
+  return code ? formatRegion(code) : (job.location || '')
+}
@@ -0,0 +1,248 @@
+import Taro from '@tarojs/taro'
+import mockAdapter, { mockUploadAdapter } from '../services/mockAdapter'
+import ERROR_CODES from './errorCodes'
+
+// 接口基础配置（可通过 config 中的 defineConstants 覆盖）
+const BASE_URL = typeof API_BASE_URL !== 'undefined' ? API_BASE_URL : 'https://api.jobrecruit.com/v1'
+const DEFAULT_ADAPTER = typeof API_ADAPTER !== 'undefined' ? API_ADAPTER : 'mock'
+const DEFAULT_UPLOAD_ADAPTER = typeof UPLOAD_ADAPTER !== 'undefined' && UPLOAD_ADAPTER ? UPLOAD_ADAPTER : DEFAULT_ADAPTER
+const DEFAULT_TIMEOUT = 10000
+const UPLOAD_TIMEOUT = 60000
+const DEFAULT_RETRY = 2
+const RETRY_DELAY = 500
+const TOKEN_KEY = 'auth-token'
+
+export { ERROR_CODES }
+
+// 错误码对应的默认提示
+const ERROR_MESSAGES = {
+  [ERROR_CODES.INVALID_PARAM]: '请求参数错误',
+  [ERROR_CODES.UNAUTHORIZED]: '请先登录',
+  [ERROR_CODES.FORBIDDEN]: '没有操作权限',
+  [ERROR_CODES.NOT_FOUND]: '请求的资源不存在',
+  [ERROR_CODES.SERVER_ERROR]: '服务器开小差了，请稍后再试',
+  [ERROR_CODES.USER_NOT_EXIST]: '用户不存在',
+  [ERROR_CODES.JOB_NOT_FOUND]: '职位不存在',
+  [ERROR_CODES.JOB_REFRESH_LIMIT]: '该职位今天已经刷新过了',
+  [ERROR_CODES.CONTENT_VIOLATION]: '内容包含违规信息，请修改后再提交',
+  [ERROR_CODES.PUBLISH_LIMIT_EXCEEDED]: '今日发布次数已达上限',
+  [ERROR_CODES.DUPLICATE_JOB]: '请勿重复发布相同的职位',
+  [ERROR_CODES.SHARE_LIMIT_EXCEEDED]: '今日分享次数已达上限',
+  [ERROR_CODES.POINTS_NOT_ENOUGH]: '积分不足',
+  [ERROR_CODES.POINTS_INVALID]: '积分操作无效',
+  [ERROR_CODES.NETWORK_ERROR]: '网络异常，请检查网络设置',
+  [ERROR_CODES.TIMEOUT]: '请求超时，请稍后再试',
+  [ERROR_CODES.PAYMENT_CANCELLED]: '已取消支付',
+  [ERROR_CODES.PAYMENT_FAILED]: '支付失败，请重试'
+}
+
+// 请求错误
+export class RequestError extends Error {
+  constructor(code, message, data = null) {
+    super(message || ERROR_MESSAGES[code] || '请求失败')
+    this.name = 'RequestError'
+    this.code = code
+    this.data = data
+  }
+}
+
+// 真实网络请求
+const httpAdapter = ({ url, method, data, header, timeout }) => {
+  return Taro.request({
+    url: `${BASE_URL}${url}`,
+    method,
+    data,
+    header,
+    timeout
+  })
+}
+
+const adapters = {
+  http: httpAdapter,
+  mock: mockAdapter
+}
+
+let currentAdapter = DEFAULT_ADAPTER
+
+// 切换请求适配器：'http' | 'mock'
+export const setAdapter = (name) => {
+  if (!adapters[name]) {
+    throw new Error(`未知的请求适配器: ${name}`)
+  }
+  currentAdapter = name
+}
+
+export const getAdapter = () => currentAdapter
+
+// 真实文件上传，进度通过 onProgress(0-100) 回调
+const httpUploadAdapter = ({ url, filePath, name, formData, header, timeout, onProgress }) => {
+  return new Promise((resolve, reject) => {
+    const task = Taro.uploadFile({
+      url: `${BASE_URL}${url}`,
+      filePath,
+      name,
+      formData,
+      header,
+      timeout,
+      success: resolve,
+      fail: reject
+    })
+    if (onProgress && task && task.onProgressUpdate) {
+      task.onProgressUpdate(res => onProgress(res.progress))
+    }
+  })
+}
+
+// 文件存储适配器，与请求适配器约定相同，返回 { statusCode, data }
+// 可注册自定义存储（如对象存储直传、本地桩服务）后通过 setUploadAdapter 切换
+const uploadAdapters = {
+  http: httpUploadAdapter,
+  mock: mockUploadAdapter
+}
+
+let currentUploadAdapter = DEFAULT_UPLOAD_ADAPTER
+
+export const registerUploadAdapter = (name, adapter) => {
+  uploadAdapters[name] = adapter
+}
+
+export const setUploadAdapter = (name) => {
+  if (!uploadAdapters[name]) {
+    throw new Error(`未知的上传适配器: ${name}`)
+  }
+  currentUploadAdapter = name
+}
+
+const getToken = () => {
+  try {
+    return Taro.getStorageSync(TOKEN_KEY) || ''
+  } catch (error) {
+    return ''
+  }
+}
+
+// 本地有登录凭证即视为已登录
+export const isLoggedIn = () => !!getToken()
+
+// 保存登录凭证，传空值表示退出登录
+export const setToken = (token) => {
+  if (token) {
+    Taro.setStorageSync(TOKEN_KEY, token)
+  } else {
+    Taro.removeStorageSync(TOKEN_KEY)
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const withTimeout = (promise, ms) => {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new RequestError(ERROR_CODES.TIMEOUT)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// 解析统一响应格式 { code, message, data, timestamp }
+const parseResponse = (res) => {
+  const { statusCode, data: body } = res
+
+  if (statusCode >= 500) {
+    throw new RequestError(ERROR_CODES.SERVER_ERROR, body && body.message)
+  }
+
+  if (!body || typeof body.code !== 'number') {
+    throw new RequestError(statusCode >= 400 ? statusCode : ERROR_CODES.SERVER_ERROR, '响应格式错误')
+  }
+
+  if (body.code !== ERROR_CODES.SUCCESS) {
+    throw new RequestError(body.code, body.message, body.data)
+  }
+
+  return body.data
+}
+
+// 仅网络异常、超时和服务端错误值得重试
+const isRetryable = (error) => {
+  return error.code === ERROR_CODES.NETWORK_ERROR ||
+    error.code === ERROR_CODES.TIMEOUT ||
+    error.code === ERROR_CODES.SERVER_ERROR
+}
+
+const normalizeError = (error) => {
+  if (error instanceof RequestError) return error
+  const errMsg = (error && error.errMsg) || ''
+  if (errMsg.includes('timeout')) {
+    return new RequestError(ERROR_CODES.TIMEOUT)
+  }
+  return new RequestError(ERROR_CODES.NETWORK_ERROR)
+}
+
+const request = async ({
+  url,
+  method = 'GET',
+  data,
+  header = {},
+  timeout = DEFAULT_TIMEOUT,
+  // 非幂等请求默认不重试
+  retry = method === 'GET' ? DEFAULT_RETRY : 0
+}) => {
+  const adapter = adapters[currentAdapter]
+  const token = getToken()
+  const requestHeader = {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...header
+  }
+
+  let attempt = 0
+  while (true) {
+    try {
+      const res = await withTimeout(
+        adapter({ url, method, data, header: requestHeader, timeout }),
+        timeout
+      )
+      return parseResponse(res)
+    } catch (rawError) {
+      const error = normalizeError(rawError)
+      if (attempt >= retry || !isRetryable(error)) {
+        throw error
+      }
+      attempt += 1
+      await sleep(RETRY_DELAY * Math.pow(2, attempt - 1))
+    }
+  }
+}
+
+// 上传文件，不自动重试，失败后由调用方决定是否重试
+request.upload = async (url, filePath, { name = 'file', formData, onProgress, timeout = UPLOAD_TIMEOUT } = {}) => {
+  const adapter = uploadAdapters[currentUploadAdapter]
+  const token = getToken()
+  const header = token ? { Authorization: `Bearer ${token}` } : {}
+
+  try {
+    const res = await withTimeout(
+      adapter({ url, filePath, name, formData, header, timeout, onProgress }),
+      timeout
+    )
+    // uploadFile 的响应体是字符串
+    let body = res.data
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body)
+      } catch (error) {
+        body = null
+      }
+    }
+    return parseResponse({ ...res, data: body })
+  } catch (error) {
+    throw normalizeError(error)
+  }
+}
+
+request.get = (url, data, options = {}) => request({ ...options, url, data, method: 'GET' })
+request.post = (url, data, options = {}) => request({ ...options, url, data, method: 'POST' })
+request.put = (url, data, options = {}) => request({ ...options, url, data, method: 'PUT' })
+request.delete = (url, data, options = {}) => request({ ...options, url, data, method: 'DELETE' })
+
+export default request
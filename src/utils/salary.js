@@ -0,0 +1,155 @@
+// 薪资解析与格式化
+// 结构化薪资：{ min, max, period, negotiable }，金额单位为元，period 为计薪周期，max 为 null 表示没有上限
+
+export const SALARY_PERIODS = [
+  { value: 'month', label: '月薪', unit: '月' },
+  { value: 'day', label: '日薪', unit: '天' },
+  { value: 'hour', label: '时薪', unit: '时' },
+  { value: 'negotiable', label: '面议', unit: '' }
+]
+
+// 折算月薪用的工作天数与工时
+export const WORK_DAYS_PER_MONTH = 26
+export const WORK_HOURS_PER_DAY = 8
+
+// 薪资筛选区间（按折算月薪，单位元），“以上”没有上限，max 为 null
+export const SALARY_RANGES = [
+  { label: '5K以下', min: 0, max: 5000 },
+  { label: '5-8K', min: 5000, max: 8000 },
+  { label: '8-12K', min: 8000, max: 12000 },
+  { label: '12-20K', min: 12000, max: 20000 },
+  { label: '20K以上', min: 20000, max: null }
+]
+
+const UNIT_MULTIPLIERS = {
+  k: 1000,
+  '千': 1000,
+  w: 10000,
+  '万': 10000
+}
+
+const NEGOTIABLE = { min: 0, max: 0, period: 'negotiable', negotiable: true }
+
+// 解析自由文本薪资：'20-35K'、'8000-12000'、'1-1.5万'、'350-450元/天'、'30元/小时'、'20K以上'、'面议'
+export const parseSalary = (text) => {
+  if (!text) return null
+  const value = String(text).replace(/\s/g, '').toLowerCase()
+
+  if (/面议|议价|negotiable/.test(value)) {
+    return { ...NEGOTIABLE }
+  }
+
+  let period = 'month'
+  if (/小时|时薪|\/时|hour/.test(value)) {
+    period = 'hour'
+  } else if (/天|日薪|日结|\/日|day/.test(value)) {
+    period = 'day'
+  }
+
+  // 去掉“13薪”之类的年终薪数，避免被当成金额
+  const cleaned = value.replace(/[·*x×]?\d+薪/g, '')
+  const numbers = []
+  const pattern = /(\d+(?:\.\d+)?)(k|千|w|万)?/g
+  let match
+  while ((match = pattern.exec(cleaned)) !== null) {
+    numbers.push({ amount: parseFloat(match[1]), unit: match[2] || '' })
+  }
+  if (numbers.length === 0) return null
+
+  // '1-1.5万' 这种写法的单位只写在最后一个数字上
+  const lastUnit = numbers[numbers.length - 1].unit
+  const amounts = numbers.slice(0, 2).map(({ amount, unit }) => {
+    const multiplier = UNIT_MULTIPLIERS[unit || lastUnit] || 1
+    return Math.round(amount * multiplier)
+  })
+
+  const min = Math.min(...amounts)
+  // '20K以上' 只有下限
+  const max = amounts.length === 1 && /以上/.test(cleaned) ? null : Math.max(...amounts)
+  return { min, max, period, negotiable: false }
+}
+
+// 职位的结构化薪资，兼容只有 salary 文本的旧数据
+export const getJobSalary = (job) => {
+  if (!job) return null
+  if (job.salaryPeriod) {
+    if (job.salaryPeriod === 'negotiable') return { ...NEGOTIABLE }
+    return {
+      min: Number(job.salaryMin) || 0,
+      max: job.salaryMax === null ? null : Number(job.salaryMax) || Number(job.salaryMin) || 0,
+      period: job.salaryPeriod,
+      negotiable: false
+    }
+  }
+  return parseSalary(job.salary)
+}
+
+// 折算为月薪区间，面议或无法解析时返回 null
+export const toMonthlySalary = (salary) => {
+  if (!salary || salary.negotiable) return null
+  const factor = salary.period === 'day'
+    ? WORK_DAYS_PER_MONTH
+    : salary.period === 'hour'
+      ? WORK_DAYS_PER_MONTH * WORK_HOURS_PER_DAY
+      : 1
+  return {
+    min: salary.min * factor,
+    max: salary.max === null ? null : salary.max * factor
+  }
+}
+
+// 职位折算月薪区间与筛选区间是否有交集，两边的上限为 null 时都按没有上限处理
+export const matchSalaryRange = (job, min, max) => {
+  if (!min && !max) return true
+  const monthly = toMonthlySalary(getJobSalary(job))
+  if (!monthly) return false
+  return (monthly.max === null || monthly.max >= (min || 0)) && (max == null || monthly.min <= max)
+}
+
+// 排序用的薪资值：取折算月薪上限，没有上限的取下限，面议排在最后
+export const getSalarySortValue = (job) => {
+  const monthly = toMonthlySalary(getJobSalary(job))
+  if (!monthly) return -1
+  return monthly.max === null ? monthly.min : monthly.max
+}
+
+const formatThousands = (amount) => {
+  const value = amount / 1000
+  return Number.isInteger(value) ? String(value) : value.toFixed(1).replace(/\.0$/, '')
+}
+
+// 统一显示格式：'8-12K/月'、'20K以上/月'、'350-450元/天'、'30元/时'、'面议'
+export const formatSalary = (salary) => {
+  if (!salary) return ''
+  if (salary.negotiable) return '面议'
+
+  const { min, max, period } = salary
+  const { unit } = SALARY_PERIODS.find(item => item.value === period) || SALARY_PERIODS[0]
+
+  if (period === 'month' && min >= 1000) {
+    const range = max === null
+      ? `${formatThousands(min)}K以上`
+      : min === max
+        ? `${formatThousands(min)}K`
+        : `${formatThousands(min)}-${formatThousands(max)}K`
+    return `${range}/${unit}`
+  }
+
+  const range = max === null ? `${min}元以上` : min === max ? `${min}元` : `${min}-${max}元`
+  return `${range}/${unit}`
+}
+
+export const formatJobSalary = (job) => {
+  const salary = getJobSalary(job)
+  return salary ? formatSalary(salary) : (job.salary || '')
+}
+
+// 结构化薪资 -> 职位上的薪资字段，salary 文本保留给旧版本客户端
+export const toSalaryFields = (salary) => {
+  return {
+    salary: formatSalary(salary),
+    salaryMin: salary.negotiable ? 0 : salary.min,
+    salaryMax: salary.negotiable ? 0 : salary.max,
+    salaryPeriod: salary.period
+  }
+}
@@ -0,0 +1,204 @@
+import { pinyin } from 'pinyin-pro'
+
+// 本地职位搜索：覆盖全部文本字段，支持全拼/首字母匹配、多关键词 AND 查询和相关度排序
+
+// 字段权重
+const SEARCH_FIELDS = [
+  { key: 'title', weight: 10 },
+  { key: 'company', weight: 6 },
+  { key: 'tags', weight: 6 },
+  { key: 'province', weight: 3 },
+  { key: 'city', weight: 3 },
+  { key: 'county', weight: 3 },
+  { key: 'employmentType', weight: 3 },
+  { key: 'description', weight: 2 },
+  { key: 'requirements', weight: 2 },
+  { key: 'benefits', weight: 1 }
+]
+
+// 匹配方式系数：原文 > 全拼 > 首字母
+const MATCH_FACTORS = {
+  text: 1,
+  pinyin: 0.8,
+  initials: 0.6
+}
+
+// 按字符建立文本的拼音索引，chars 与 syllables 一一对应，便于把命中位置映射回原文
+const indexText = (text) => {
+  const chars = Array.from(text)
+  const syllables = pinyin(text, { toneType: 'none', type: 'array' }).map(item => item.toLowerCase())
+  // 个别字符拼音数量对不上时退回原字符，保证下标一致
+  const aligned = syllables.length === chars.length
+    ? syllables
+    : chars.map(char => char.toLowerCase())
+
+  const starts = []
+  let full = ''
+  aligned.forEach(syllable => {
+    starts.push(full.length)
+    full += syllable
+  })
+
+  return {
+    chars,
+    lower: chars.map(char => char.toLowerCase()).join(''),
+    full,
+    starts,
+    initials: aligned.map(syllable => syllable.charAt(0)).join('')
+  }
+}
+
+// 在单段文本中查找关键词，返回命中的字符区间 [start, end) 与匹配方式
+const matchText = (indexed, term) => {
+  const textIndex = indexed.lower.indexOf(term)
+  if (textIndex > -1) {
+    // lower 按 UTF-16 拼接，换算成字符下标
+    const start = Array.from(indexed.lower.slice(0, textIndex)).length
+    return { start, end: start + Array.from(term).length, type: 'text' }
+  }
+
+  // 拼音只匹配英文字母组成的关键词
+  if (!/^[a-z]+$/.test(term)) return null
+
+  // 全拼：必须从某个字的拼音开头开始匹配
+  let fullIndex = indexed.full.indexOf(term)
+  while (fullIndex > -1) {
+    const start = indexed.starts.indexOf(fullIndex)
+    if (start > -1) {
+      const endPosition = fullIndex + term.length
+      let end = start
+      while (end < indexed.starts.length && indexed.starts[end] < endPosition) {
+        end += 1
+      }
+      return { start, end, type: 'pinyin' }
+    }
+    fullIndex = indexed.full.indexOf(term, fullIndex + 1)
+  }
+
+  const initialsIndex = indexed.initials.indexOf(term)
+  if (initialsIndex > -1) {
+    return { start: initialsIndex, end: initialsIndex + term.length, type: 'initials' }
+  }
+
+  return null
+}
+
+// 文本索引缓存，职位对象不可变，更新时会整体替换
+const textCache = new Map()
+const MAX_CACHE_SIZE = 5000
+
+const getIndexedText = (text) => {
+  let indexed = textCache.get(text)
+  if (!indexed) {
+    if (textCache.size >= MAX_CACHE_SIZE) {
+      textCache.clear()
+    }
+    indexed = indexText(text)
+    textCache.set(text, indexed)
+  }
+  return indexed
+}
+
+const jobIndexCache = new WeakMap()
+
+// 职位的搜索索引：[{ key, weight, texts: [indexed] }]
+const getJobIndex = (job) => {
+  let index = jobIndexCache.get(job)
+  if (!index) {
+    index = SEARCH_FIELDS
+      .map(({ key, weight }) => {
+        const value = job[key]
+        const values = Array.isArray(value) ? value : [value]
+        return {
+          key,
+          weight,
+          texts: values.filter(Boolean).map(text => getIndexedText(String(text)))
+        }
+      })
+      .filter(field => field.texts.length > 0)
+    jobIndexCache.set(job, index)
+  }
+  return index
+}
+
+// 单段文本是否命中关键词（原文/全拼/首字母），返回 { start, end, type } 或 null
+export const matchKeyword = (text, keyword) => {
+  const term = String(keyword || '').trim().toLowerCase()
+  if (!text || !term) return null
+  return matchText(getIndexedText(String(text)), term)
+}
+
+// 拆分查询词，空白分隔，统一小写
+export const parseQuery = (keyword) => {
+  return String(keyword || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+}
+
+// 计算职位与查询的相关度，任一关键词未命中返回 0
+export const scoreJob = (job, terms) => {
+  const index = getJobIndex(job)
+  let score = 0
+
+  for (const term of terms) {
+    let best = 0
+    index.forEach(({ key, weight, texts }) => {
+      texts.forEach(indexed => {
+        const match = matchText(indexed, term)
+        if (!match) return
+        let termScore = weight * MATCH_FACTORS[match.type]
+        // 标题以关键词开头额外加分
+        if (key === 'title' && match.start === 0) {
+          termScore += weight / 2
+        }
+        best = Math.max(best, termScore)
+      })
+    })
+    if (best === 0) return 0
+    score += best
+  }
+
+  return score
+}
+
+// 搜索职位，按相关度从高到低返回 [{ job, score }]
+export const searchJobs = (jobs, keyword) => {
+  const terms = parseQuery(keyword)
+  if (terms.length === 0) {
+    return jobs.map(job => ({ job, score: 0 }))
+  }
+
+  return jobs
+    .map(job => ({ job, score: scoreJob(job, terms) }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score)
+}
+
+// 把文本按关键词命中位置切分为 [{ text, highlight }]，用于高亮显示
+export const splitHighlight = (text, keyword) => {
+  if (!text) return []
+  const terms = parseQuery(keyword)
+  if (terms.length === 0) return [{ text, highlight: false }]
+
+  const indexed = getIndexedText(String(text))
+  const marks = new Array(indexed.chars.length).fill(false)
+  terms.forEach(term => {
+    const match = matchText(indexed, term)
+    if (!match) return
+    for (let i = match.start; i < match.end; i++) {
+      marks[i] = true
+    }
+  })
+
+  const segments = []
+  indexed.chars.forEach((char, i) => {
+    const last = segments[segments.length - 1]
+    if (last && last.highlight === marks[i]) {
+      last.text += char
+    } else {
+      segments.push({ text: char, highlight: marks[i] })
+    }
+  })
+  return segments
+}
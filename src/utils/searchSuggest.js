@@ -0,0 +1,60 @@
+import { matchKeyword } from './search'
+
+// 搜索历史、热门关键词与输入联想
+
+export const MAX_SEARCH_HISTORY = 10
+
+// 新关键词放到最前面，去重并限制条数
+export const addSearchHistory = (history, keyword) => {
+  const value = String(keyword || '').trim()
+  if (!value) return history
+  return [value, ...history.filter(item => item !== value)].slice(0, MAX_SEARCH_HISTORY)
+}
+
+// 热门关键词：按标签在职位中出现的次数排序
+export const getHotKeywords = (jobs, limit = 8) => {
+  const counts = {}
+  jobs.forEach(job => {
+    (job.tags || []).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1
+    })
+  })
+  return Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a])
+    .slice(0, limit)
+}
+
+// 联想词库：职位名称、公司名称和标签，记录出现次数
+const buildVocabulary = (jobs) => {
+  const vocabulary = {}
+  const add = (word, type) => {
+    if (!word) return
+    const entry = vocabulary[word] || (vocabulary[word] = { word, type, count: 0 })
+    entry.count += 1
+  }
+  jobs.forEach(job => {
+    add(job.title, 'title')
+    add(job.company, 'company')
+    ;(job.tags || []).forEach(tag => add(tag, 'tag'))
+  })
+  return Object.values(vocabulary)
+}
+
+// 命中方式排序：原文前缀 > 原文包含 > 全拼 > 首字母
+const getMatchRank = (match) => {
+  if (match.type === 'text') return match.start === 0 ? 0 : 1
+  return match.type === 'pinyin' ? 2 : 3
+}
+
+// 输入联想：[{ word, type }]
+export const getSuggestions = (jobs, input, limit = 8) => {
+  const keyword = String(input || '').trim()
+  if (!keyword) return []
+
+  return buildVocabulary(jobs)
+    .map(entry => ({ ...entry, match: matchKeyword(entry.word, keyword) }))
+    .filter(entry => entry.match && entry.word !== keyword)
+    .sort((a, b) => getMatchRank(a.match) - getMatchRank(b.match) || b.count - a.count)
+    .slice(0, limit)
+    .map(({ word, type }) => ({ word, type }))
+}
@@ -0,0 +1,68 @@
+import Taro from '@tarojs/taro'
+import { parsePosterScene } from './poster'
+
+// 分享：分享时向服务端登记，好友打开分享后由服务端确认并给分享人发放积分
+
+export const SHARE_TYPES = {
+  WECHAT: 'wechat',
+  TIMELINE: 'timeline',
+  POSTER: 'poster'
+}
+
+// 等待好友打开分享时轮询分享状态的间隔和次数
+export const SHARE_POLL_INTERVAL = 3000
+export const SHARE_POLL_TIMES = 20
+
+// 解锁日期统一用 YYYY-MM-DD，职位上的 publishDate 为 toDateString 格式
+export const toShareDate = (date) => {
+  const value = new Date(date)
+  if (Number.isNaN(value.getTime())) return ''
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+}
+
+// 分享ID由客户端生成，分享路径同步返回时就能带上；同时要能放进小程序码的 scene（最长 32 个字符）
+export const createShareId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`
+
+export const getShareTitle = (job, shareType = SHARE_TYPES.WECHAT) => {
+  return shareType === SHARE_TYPES.TIMELINE
+    ? `${job.title} - ${job.company} 招聘中`
+    : `${job.title} - ${job.company}`
+}
+
+// 分享卡片图片：有职位图片时用第一张，否则使用页面截图
+export const getShareImage = (job) => (job.images && job.images[0]) || ''
+
+// 分享路径带上分享ID，新用户通过分享注册时由服务端按分享记录计入分享人的邀请
+export const buildShareQuery = (jobId, shareId) => `id=${jobId}&shareId=${shareId}`
+
+// 启动小程序时的邀请信息 { shareId, jobId }，登录时交给服务端判断是否计入邀请
+// 分享人只由服务端按分享ID查出，不信任启动参数
+export const getLaunchReferral = () => {
+  try {
+    const { query = {} } = Taro.getLaunchOptionsSync() || {}
+    const scene = parsePosterScene(query.scene)
+    const shareId = query.shareId || scene.s || ''
+    if (!shareId) return null
+    return { shareId, jobId: query.id || scene.id || '' }
+  } catch (error) {
+    return null
+  }
+}
+
+// 从群聊分享卡片打开时带有 shareTicket，服务端据此确认分享真实发生
+export const getShareTicket = () => {
+  try {
+    const options = Taro.getEnterOptionsSync()
+    return (options && options.shareTicket) || ''
+  } catch (error) {
+    return ''
+  }
+}
+
+// 日期列表 -> { 日期: true }
+export const toDateMap = (dates = []) => {
+  return dates.reduce((result, date) => {
+    result[date] = true
+    return result
+  }, {})
+}
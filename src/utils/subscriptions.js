@@ -0,0 +1,62 @@
+import Taro from '@tarojs/taro'
+import { formatRegion } from './regions'
+import { SALARY_RANGES } from './salary'
+import { MULTI_FILTER_GROUPS } from './jobOptions'
+
+// 保存的搜索（订阅）：只保留筛选条件，排序方式和用户位置不参与
+const SUBSCRIPTION_FILTER_KEYS = [
+  'regionCode',
+  'salaryMin',
+  'salaryMax',
+  ...MULTI_FILTER_GROUPS.map(group => group.key),
+  'keyword'
+]
+
+const TEMPLATE_ID = typeof SUBSCRIBE_TEMPLATE_ID !== 'undefined' ? SUBSCRIBE_TEMPLATE_ID : ''
+
+export const pickSubscriptionFilters = (filters) => {
+  return SUBSCRIPTION_FILTER_KEYS.reduce((result, key) => {
+    result[key] = filters[key]
+    return result
+  }, {})
+}
+
+// 已保存过相同筛选条件的订阅
+export const findSubscription = (subscriptions, filters) => {
+  const key = JSON.stringify(pickSubscriptionFilters(filters))
+  return subscriptions.find(item => JSON.stringify(pickSubscriptionFilters(item.filters)) === key)
+}
+
+// 筛选条件的简短描述，用作订阅的默认名称
+export const describeFilters = (filters) => {
+  const parts = []
+  if (filters.keyword) parts.push(filters.keyword)
+  if (filters.regionCode) parts.push(formatRegion(filters.regionCode))
+  if (filters.salaryMin || filters.salaryMax) {
+    const range = SALARY_RANGES.find(item =>
+      item.min === filters.salaryMin && item.max === filters.salaryMax
+    )
+    parts.push(range ? range.label : '自定义薪资')
+  }
+  MULTI_FILTER_GROUPS.forEach(({ key }) => {
+    parts.push(...(filters[key] || []))
+  })
+  return parts.length > 0 ? parts.join(' · ') : '全部职位'
+}
+
+// 所有订阅的新职位总数
+export const getTotalNewCount = (subscriptions) => {
+  return subscriptions.reduce((total, item) => total + (item.newCount || 0), 0)
+}
+
+// 请求新职位提醒的订阅消息授权，未配置模板或用户拒绝时返回 false
+export const requestJobAlert = async () => {
+  if (!TEMPLATE_ID) return false
+  try {
+    const res = await Taro.requestSubscribeMessage({ tmplIds: [TEMPLATE_ID] })
+    return res[TEMPLATE_ID] === 'accept'
+  } catch (error) {
+    console.error('订阅消息授权失败:', error)
+    return false
+  }
+}
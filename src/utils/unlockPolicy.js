@@ -0,0 +1,120 @@
+import { isMembershipActive } from './membership'
+import { toShareDate } from './share'
+
+// 解锁策略：职位是否锁定统一由这里判断，策略由远程配置下发，未加载时使用本地默认值
+// store、列表卡片、详情页和模拟接口都通过同一套规则判断
+
+// 积分解锁的方式
+export const UNLOCK_SCOPES = {
+  DAY: 'day',
+  JOB: 'job',
+  BOTH: 'both'
+}
+
+export const DEFAULT_UNLOCK_POLICY = {
+  // 最近几天发布的职位免费查看，1 为仅当天，0 为全部需要解锁
+  freeDays: 1,
+  // 可以用积分按天解锁、按职位解锁，或两者都可以
+  unlockScope: UNLOCK_SCOPES.BOTH,
+  // 解锁的有效天数，0 为永久有效
+  unlockValidDays: 0,
+  // 列表卡片上的联系电话是否隐藏中间 4 位
+  maskContact: true
+}
+
+const isNonNegativeInteger = value => Number.isInteger(value) && value >= 0
+
+// 远程配置可能缺字段或填错，逐项校验，不合法的使用默认值
+export const normalizeUnlockPolicy = (policy = {}) => {
+  const source = policy || {}
+  return {
+    freeDays: isNonNegativeInteger(source.freeDays) ? source.freeDays : DEFAULT_UNLOCK_POLICY.freeDays,
+    unlockScope: Object.values(UNLOCK_SCOPES).includes(source.unlockScope)
+      ? source.unlockScope
+      : DEFAULT_UNLOCK_POLICY.unlockScope,
+    unlockValidDays: isNonNegativeInteger(source.unlockValidDays)
+      ? source.unlockValidDays
+      : DEFAULT_UNLOCK_POLICY.unlockValidDays,
+    maskContact: typeof source.maskContact === 'boolean' ? source.maskContact : DEFAULT_UNLOCK_POLICY.maskContact
+  }
+}
+
+const startOfDay = (time) => {
+  const date = new Date(time)
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+}
+
+// 职位的发布日期，publishDate 为 toDateString 格式，旧数据只有 publishTime
+const getPublishDate = job => job.publishDate || job.publishTime || job.createTime
+
+// 是否在免费查看期内
+export const isInFreeWindow = (policy, date, now = Date.now()) => {
+  const age = Math.round((startOfDay(now) - startOfDay(date)) / 86400000)
+  return age < policy.freeDays
+}
+
+// 职位是否在免费查看期内
+export const isJobFree = (policy, job, now = Date.now()) => isInFreeWindow(policy, getPublishDate(job), now)
+
+// 是否允许用积分按该方式解锁（只限制新的解锁，已有的解锁在有效期内继续生效）
+export const canUnlockBy = (policy, scope) => {
+  return policy.unlockScope === UNLOCK_SCOPES.BOTH || policy.unlockScope === scope
+}
+
+// 解锁是否仍在有效期内，unlockTime 为解锁时间
+export const isEntitlementValid = (policy, entitlement, now = Date.now()) => {
+  if (!policy.unlockValidDays) return true
+  return new Date(entitlement.unlockTime).getTime() + policy.unlockValidDays * 86400000 > now
+}
+
+// entitlements: { days: [{ date, unlockTime }], jobs: [{ jobId, unlockTime }] }
+export const isDayEntitled = (policy, entitlements, date, now = Date.now()) => {
+  return entitlements.days.some(item => item.date === date && isEntitlementValid(policy, item, now))
+}
+
+export const isJobEntitled = (policy, entitlements, jobId, now = Date.now()) => {
+  return entitlements.jobs.some(item => item.jobId === jobId && isEntitlementValid(policy, item, now))
+}
+
+// 职位的查看权限 { unlocked, reason }
+// reason：owner（自己发布）/free（免费期内）/member（会员）/day、job（积分解锁）/locked
+// context: { userId, membership, entitlements }
+export const getJobAccess = (policy, job, { userId, membership, entitlements }, now = Date.now()) => {
+  if (job.publisherId && job.publisherId === userId) {
+    return { unlocked: true, reason: 'owner' }
+  }
+  if (isJobFree(policy, job, now)) {
+    return { unlocked: true, reason: 'free' }
+  }
+  if (isMembershipActive(membership, now)) {
+    return { unlocked: true, reason: 'member' }
+  }
+  if (isDayEntitled(policy, entitlements, toShareDate(getPublishDate(job)), now)) {
+    return { unlocked: true, reason: 'day' }
+  }
+  if (isJobEntitled(policy, entitlements, job.id, now)) {
+    return { unlocked: true, reason: 'job' }
+  }
+  return { unlocked: false, reason: 'locked' }
+}
+
+// 锁定规则的说明文字
+export const getLockRuleText = (policy) => {
+  if (policy.freeDays === 0) return '需要用积分解锁或开通会员后才能查看联系方式'
+  const freeText = policy.freeDays === 1 ? '发布当天' : `发布 ${policy.freeDays} 天内`
+  return `${freeText}可直接查看联系方式，之后需要用积分解锁或开通会员`
+}
+
+// 解锁有效期的说明文字
+export const getUnlockValidText = (policy) => {
+  return policy.unlockValidDays ? `解锁后 ${policy.unlockValidDays} 天内有效` : '解锁后长期有效'
+}
+
+// 卡片上显示的联系电话，按策略隐藏中间 4 位
+export const formatContact = (policy, contact) => {
+  if (!contact) return ''
+  if (policy.maskContact && contact.length === 11) {
+    return contact.replace(/(\d{3})\d{4}(\d{4})/, '$1****$2')
+  }
+  return contact
+}